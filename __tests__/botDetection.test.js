@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/models/UserEngagement', () => ({ updateMany: jest.fn() }));
+jest.mock('../src/config/redis', () => ({ getRedisClient: jest.fn() }));
+
+process.env.BOT_MAX_EVENTS_PER_MINUTE = '3';
+process.env.BOT_NO_SCROLL_PAGE_VIEWS = '3';
+process.env.BOT_IP_RANGES_PATH = path.join(os.tmpdir(), `bot-ip-ranges-${process.pid}.txt`);
+
+const UserEngagement = require('../src/models/UserEngagement');
+const { getRedisClient } = require('../src/config/redis');
+const {
+    loadBotIpRanges,
+    isKnownBotIp,
+    classifyRequest,
+    classifyEngagement,
+    flagBotSession
+} = require('../src/utils/botDetection');
+
+// In-memory stand-in for the commands botDetection sends through MULTI
+const createFakeRedis = () => {
+    const store = new Map();
+    const client = {
+        isReady: true,
+        store,
+        multi() {
+            const commands = [];
+            const chain = {
+                incr(key) {
+                    commands.push(() => {
+                        store.set(key, (store.get(key) || 0) + 1);
+                        return store.get(key);
+                    });
+                    return chain;
+                },
+                hIncrBy(key, field, by) {
+                    commands.push(() => {
+                        const hash = store.get(key) || {};
+                        hash[field] = (hash[field] || 0) + by;
+                        store.set(key, hash);
+                        return hash[field];
+                    });
+                    return chain;
+                },
+                expire() {
+                    commands.push(() => 1);
+                    return chain;
+                },
+                async exec() {
+                    return commands.map(command => command());
+                }
+            };
+            return chain;
+        }
+    };
+    return client;
+};
+
+const MINUTE = 60 * 1000;
+const start = new Date('2024-03-01T12:00:00Z').getTime();
+
+const engagementEvent = (overrides = {}) => ({
+    isBotUserAgent: false,
+    ipAddress: '203.0.113.50',
+    userId: 'user-1',
+    sessionId: 'session-1',
+    event: 'click',
+    timestamp: new Date(start),
+    scrollDepth: 0,
+    ...overrides
+});
+
+beforeAll(async () => {
+    fs.writeFileSync(process.env.BOT_IP_RANGES_PATH, [
+        '# crawler ranges',
+        '66.249.64.0/19',
+        '192.0.2.7        # single address',
+        '2001:db8:bad::/48',
+        'not-an-ip',
+        '10.0.0.0/abc',
+        ''
+    ].join('\n'));
+    await loadBotIpRanges();
+});
+
+afterAll(() => {
+    fs.unlinkSync(process.env.BOT_IP_RANGES_PATH);
+});
+
+beforeEach(() => {
+    getRedisClient.mockReturnValue(createFakeRedis());
+    UserEngagement.updateMany.mockReset();
+});
+
+describe('isKnownBotIp', () => {
+    it.each([
+        ['66.249.64.1', true],
+        ['66.249.95.255', true],
+        ['66.249.96.0', false],
+        ['192.0.2.7', true],
+        ['192.0.2.8', false],
+        ['::ffff:66.249.70.1', true],
+        ['2001:db8:bad:1::1', true],
+        ['2001:db8:bee::1', false],
+        ['not-an-ip', false],
+        [undefined, false]
+    ])('%s -> %s', (ipAddress, expected) => {
+        expect(isKnownBotIp(ipAddress)).toBe(expected);
+    });
+
+    it('skips invalid lines', () => {
+        expect(isKnownBotIp('10.0.0.1')).toBe(false);
+    });
+});
+
+describe('classifyRequest', () => {
+    it('reports the User-Agent and IP range reasons', () => {
+        expect(classifyRequest({ isBotUserAgent: true, ipAddress: '66.249.64.1' }))
+            .toEqual({ isBot: true, botReasons: ['user_agent', 'ip_range'] });
+        expect(classifyRequest({ isBotUserAgent: false, ipAddress: '203.0.113.50' }))
+            .toEqual({ isBot: false, botReasons: [] });
+    });
+});
+
+describe('classifyEngagement', () => {
+    it('flags bot User-Agents and known bot IPs', async () => {
+        expect(await classifyEngagement(engagementEvent({ isBotUserAgent: true })))
+            .toMatchObject({ isBot: true, botReasons: ['user_agent'] });
+        expect(await classifyEngagement(engagementEvent({ sessionId: 'session-2', ipAddress: '::ffff:192.0.2.7' })))
+            .toMatchObject({ isBot: true, botReasons: ['ip_range'] });
+    });
+
+    it('flags events over the per-minute rate and reports the crossing once', async () => {
+        const results = [];
+        for (let i = 0; i < 5; i++) {
+            results.push(await classifyEngagement(engagementEvent({ timestamp: new Date(start + i * 1000) })));
+        }
+
+        expect(results.map(result => result.isBot)).toEqual([false, false, false, true, true]);
+        expect(results[3]).toMatchObject({ botReasons: ['event_rate'], sessionReasons: ['event_rate'] });
+        expect(results[4].sessionReasons).toEqual([]);
+    });
+
+    it('buckets the rate by event timestamp, not arrival time', async () => {
+        for (let i = 0; i < 6; i++) {
+            const result = await classifyEngagement(engagementEvent({ timestamp: new Date(start + i * MINUTE) }));
+            expect(result.isBot).toBe(false);
+        }
+    });
+
+    it('flags sessions with page views but no scrolling and reports the crossing once', async () => {
+        const pageView = engagementEvent({ event: 'page_view' });
+        const results = [];
+        for (let i = 0; i < 4; i++) {
+            results.push(await classifyEngagement({ ...pageView, timestamp: new Date(start + i * MINUTE) }));
+        }
+
+        expect(results.map(result => result.isBot)).toEqual([false, false, true, true]);
+        expect(results[2]).toMatchObject({ botReasons: ['no_scroll'], sessionReasons: ['no_scroll'] });
+        expect(results[3].sessionReasons).toEqual([]);
+    });
+
+    it('does not flag sessions that scrolled', async () => {
+        const pageView = engagementEvent({ event: 'page_view' });
+        await classifyEngagement({ ...pageView, scrollDepth: 40 });
+        for (let i = 1; i < 4; i++) {
+            const result = await classifyEngagement({ ...pageView, timestamp: new Date(start + i * MINUTE) });
+            expect(result.isBot).toBe(false);
+        }
+    });
+
+    it('keeps counters separate for callers sharing a sessionId', async () => {
+        for (let i = 0; i < 3; i++) {
+            await classifyEngagement(engagementEvent({ userId: 'user-1' }));
+        }
+
+        const otherUser = await classifyEngagement(engagementEvent({ userId: 'user-2' }));
+        const anonymous = await classifyEngagement(engagementEvent({ userId: undefined, anonymousId: 'anon-1' }));
+        const impersonator = await classifyEngagement(engagementEvent({ userId: undefined, anonymousId: 'user-1' }));
+
+        expect(otherUser.isBot).toBe(false);
+        expect(anonymous.isBot).toBe(false);
+        expect(impersonator.isBot).toBe(false);
+
+        // The impersonator's events do not count towards user-1's session either
+        expect((await classifyEngagement(engagementEvent({ userId: 'user-1' }))).sessionReasons).toEqual(['event_rate']);
+    });
+
+    it('skips behavioral checks without Redis', async () => {
+        getRedisClient.mockReturnValue(null);
+        for (let i = 0; i < 5; i++) {
+            const result = await classifyEngagement(engagementEvent());
+            expect(result).toEqual({ isBot: false, botReasons: [], sessionReasons: [] });
+        }
+    });
+});
+
+describe('flagBotSession', () => {
+    it("flags only the caller's events in the session", async () => {
+        UserEngagement.updateMany.mockResolvedValue({ modifiedCount: 4 });
+
+        expect(await flagBotSession({ anonymousId: 'anon-1', sessionId: 'session-1' }, ['event_rate'])).toBe(4);
+        expect(UserEngagement.updateMany).toHaveBeenCalledWith(
+            { sessionId: 'session-1', anonymousId: 'anon-1' },
+            { $set: { isBot: true }, $addToSet: { botReasons: { $each: ['event_rate'] } } }
+        );
+    });
+
+    it('does nothing without reasons or a caller identity', async () => {
+        expect(await flagBotSession({ userId: 'user-1', sessionId: 'session-1' }, [])).toBe(0);
+        expect(await flagBotSession({ sessionId: 'session-1' }, ['event_rate'])).toBe(0);
+        expect(UserEngagement.updateMany).not.toHaveBeenCalled();
+    });
+});
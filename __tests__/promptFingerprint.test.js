@@ -0,0 +1,52 @@
+jest.mock('../src/utils/logger');
+
+const { hammingDistance, clusterSimHashes } = require('../src/utils/promptFingerprint');
+
+describe('hammingDistance', () => {
+    it('counts differing bits', () => {
+        expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+        expect(hammingDistance('0000000000000000', '00000000000000ff')).toBe(8);
+        expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+    });
+});
+
+describe('clusterSimHashes', () => {
+    it('clusters hashes within the distance', () => {
+        const base = '0123456789abcdef';
+        // One bit flipped in each of seven different bytes
+        const near = '0022446688aaccef';
+        const far = 'fedcba9876543210';
+
+        const clusters = clusterSimHashes([base, near, far]);
+
+        expect(hammingDistance(base, near)).toBe(7);
+        expect(clusters.get(base)).toBe(clusters.get(near));
+        expect(clusters.get(far)).not.toBe(clusters.get(base));
+    });
+
+    it('keeps hashes beyond the distance apart', () => {
+        const base = '0000000000000000';
+        const beyond = '0101010101010101';
+
+        const clusters = clusterSimHashes([base, beyond]);
+
+        expect(hammingDistance(base, beyond)).toBe(8);
+        expect(clusters.get(base)).not.toBe(clusters.get(beyond));
+    });
+
+    it('links chains of near-duplicates into one cluster', () => {
+        const first = '0000000000000000';
+        const middle = '000000000000007f';
+        const last = '0000000000003fff';
+
+        const clusters = clusterSimHashes([first, middle, last]);
+
+        expect(hammingDistance(first, last)).toBe(14);
+        expect(new Set(clusters.values()).size).toBe(1);
+    });
+
+    it('maps duplicate hashes to one entry', () => {
+        const clusters = clusterSimHashes(['00000000000000ff', '00000000000000ff']);
+        expect([...clusters.keys()]).toEqual(['00000000000000ff']);
+    });
+});
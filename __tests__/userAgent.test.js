@@ -0,0 +1,87 @@
+const { parseUserAgent } = require('../src/utils/userAgent');
+
+const FIXTURES = [
+    {
+        name: 'Edge on Windows 10',
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91',
+        expected: { browser: 'Edge', browserVersion: '120.0.2210.91', os: 'Windows', osVersion: '10', deviceType: 'desktop', isBot: false }
+    },
+    {
+        name: 'Opera (Chromium) on Windows 7',
+        userAgent: 'Mozilla/5.0 (Windows NT 6.1; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36 OPR/105.0.0.0',
+        expected: { browser: 'Opera', browserVersion: '105.0.0.0', os: 'Windows', osVersion: '7', deviceType: 'desktop', isBot: false }
+    },
+    {
+        name: 'Opera (Presto) on Windows XP',
+        userAgent: 'Opera/9.80 (Windows NT 5.1; U; en) Presto/2.12.388 Version/12.16',
+        expected: { browser: 'Opera', browserVersion: '12.16', os: 'Windows', osVersion: 'XP', deviceType: 'desktop', isBot: false }
+    },
+    {
+        name: 'Samsung Internet on Android phone',
+        userAgent: 'Mozilla/5.0 (Linux; Android 13; SM-S901B) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/23.0 Chrome/115.0.0.0 Mobile Safari/537.36',
+        expected: { browser: 'Samsung Internet', browserVersion: '23.0', os: 'Android', osVersion: '13', deviceType: 'mobile', isBot: false }
+    },
+    {
+        name: 'Safari on iPad',
+        userAgent: 'Mozilla/5.0 (iPad; CPU OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Mobile/15E148 Safari/604.1',
+        expected: { browser: 'Safari', browserVersion: '16.6', os: 'iOS', osVersion: '16.6', deviceType: 'tablet', isBot: false }
+    },
+    {
+        name: 'Safari on iPhone',
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1.2 Mobile/15E148 Safari/604.1',
+        expected: { browser: 'Safari', browserVersion: '17.1.2', os: 'iOS', osVersion: '17.1.2', deviceType: 'mobile', isBot: false }
+    },
+    {
+        name: 'Chrome on Android tablet',
+        userAgent: 'Mozilla/5.0 (Linux; Android 12; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        expected: { browser: 'Chrome', browserVersion: '120.0.0.0', os: 'Android', osVersion: '12', deviceType: 'tablet', isBot: false }
+    },
+    {
+        name: 'Chrome on Android phone',
+        userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+        expected: { browser: 'Chrome', browserVersion: '120.0.0.0', os: 'Android', osVersion: '14', deviceType: 'mobile', isBot: false }
+    },
+    {
+        name: 'Safari on macOS',
+        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15',
+        expected: { browser: 'Safari', browserVersion: '17.1', os: 'macOS', osVersion: '10.15.7', deviceType: 'desktop', isBot: false }
+    },
+    {
+        name: 'Firefox on Windows 8.1',
+        userAgent: 'Mozilla/5.0 (Windows NT 6.3; Win64; x64; rv:115.0) Gecko/20100101 Firefox/115.0',
+        expected: { browser: 'Firefox', browserVersion: '115.0', os: 'Windows', osVersion: '8.1', deviceType: 'desktop', isBot: false }
+    },
+    {
+        name: 'Googlebot',
+        userAgent: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+        expected: { browser: 'Bot', browserVersion: null, os: 'Unknown', osVersion: null, deviceType: 'desktop', isBot: true }
+    },
+    {
+        name: 'curl',
+        userAgent: 'curl/8.4.0',
+        expected: { browser: 'Bot', browserVersion: null, os: 'Unknown', osVersion: null, deviceType: 'desktop', isBot: true }
+    },
+    {
+        name: 'HeadlessChrome on Linux',
+        userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/120.0.6099.109 Safari/537.36',
+        expected: { browser: 'Chrome', browserVersion: '120.0.6099.109', os: 'Linux', osVersion: null, deviceType: 'desktop', isBot: true }
+    }
+];
+
+describe('parseUserAgent', () => {
+    it.each(FIXTURES)('parses $name', ({ userAgent, expected }) => {
+        expect(parseUserAgent(userAgent)).toEqual(expected);
+    });
+
+    it('returns unknown desktop values for a missing User-Agent', () => {
+        expect(parseUserAgent()).toEqual({
+            browser: 'Unknown',
+            browserVersion: null,
+            os: 'Unknown',
+            osVersion: null,
+            deviceType: 'desktop',
+            isBot: false
+        });
+        expect(parseUserAgent('')).toEqual(parseUserAgent());
+    });
+});
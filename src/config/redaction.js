@@ -0,0 +1,42 @@
+const logger = require('../utils/logger');
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Redaction policies applied to AI prompts and responses before they are stored.
+// Each field policy has a mode and the detectors it runs:
+//   - 'mask': replace detected values with a placeholder such as [EMAIL]
+//   - 'hash': store only a keyed hash (REDACTION_HASH_SALT) and the length of the text
+//   - 'none': store the text as-is
+// REDACTION_POLICIES (JSON) overrides the default policy and adds per-feature policies, e.g.
+// {"features":{"portfolio-review":{"response":{"mode":"hash"}}}}
+const ALL_DETECTORS = ['email', 'card', 'phone', 'api_key'];
+
+const defaultPolicies = {
+    default: {
+        prompt: { mode: 'mask', detectors: ALL_DETECTORS },
+        response: { mode: 'mask', detectors: ALL_DETECTORS }
+    },
+    features: {}
+};
+
+const loadPolicies = () => {
+    if (!process.env.REDACTION_POLICIES) return defaultPolicies;
+
+    try {
+        const overrides = JSON.parse(process.env.REDACTION_POLICIES);
+        return {
+            default: { ...defaultPolicies.default, ...overrides.default },
+            features: { ...defaultPolicies.features, ...overrides.features }
+        };
+    } catch (error) {
+        logger.error('Invalid REDACTION_POLICIES, using defaults:', error.message);
+        return defaultPolicies;
+    }
+};
+
+module.exports = {
+    enabled: process.env.REDACTION_ENABLED !== 'false',
+    hashSalt: process.env.REDACTION_HASH_SALT || '',
+    detectors: ALL_DETECTORS,
+    policies: loadPolicies()
+};
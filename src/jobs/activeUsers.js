@@ -0,0 +1,70 @@
+const UserEngagement = require('../models/UserEngagement');
+const ActiveUserSnapshot = require('../models/ActiveUserSnapshot');
+const { updateEngagementMetrics } = require('../utils/prometheus');
+const { withLock } = require('../utils/lock');
+const logger = require('../utils/logger');
+
+const INTERVAL_MS = parseInt(process.env.ACTIVE_USERS_INTERVAL_MS) || 15 * 60 * 1000;
+const PLANS = ['all', 'free', 'basic', 'premium'];
+
+const publishActiveUsers = (counts) => {
+    for (const { userPlan, dau, wau, mau, stickiness } of counts) {
+        updateEngagementMetrics.setActiveUsers(userPlan, '1d', dau);
+        updateEngagementMetrics.setActiveUsers(userPlan, '7d', wau);
+        updateEngagementMetrics.setActiveUsers(userPlan, '30d', mau);
+        updateEngagementMetrics.setStickiness(userPlan, stickiness);
+    }
+};
+
+// Compute DAU/WAU/MAU and store them as today's snapshot. Plans with no activity
+// are recorded as zero so a stale value does not linger on the gauge.
+const computeActiveUsers = async () => {
+    const now = new Date();
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const activeCounts = await UserEngagement.getActiveUserCounts(now);
+    const counts = PLANS.map(userPlan => activeCounts.find(count => count.userPlan === userPlan) ||
+        { userPlan, dau: 0, wau: 0, mau: 0, stickiness: 0 });
+
+    await ActiveUserSnapshot.bulkWrite(counts.map(({ userPlan, dau, wau, mau, stickiness }) => ({
+        updateOne: {
+            filter: { date, userPlan },
+            update: { $set: { dau, wau, mau, stickiness, computedAt: now } },
+            upsert: true
+        }
+    })));
+
+    return counts;
+};
+
+// Latest stored counts per plan, used by instances that did not compute them
+const getLatestCounts = async () => {
+    const snapshots = await ActiveUserSnapshot.find()
+        .sort({ date: -1 })
+        .limit(PLANS.length)
+        .lean();
+    return snapshots.filter(snapshot => snapshot.date.getTime() === snapshots[0].date.getTime());
+};
+
+// Every instance publishes the gauge, since Prometheus scrapes each one; only the
+// instance holding the lock computes and writes the snapshot.
+const runActiveUsers = async () => {
+    try {
+        const { acquired, result } = await withLock('active-users', INTERVAL_MS, computeActiveUsers);
+        publishActiveUsers(acquired ? result : await getLatestCounts());
+    } catch (error) {
+        logger.error('Error computing active users:', error);
+    }
+};
+
+const startActiveUsersJob = () => {
+    runActiveUsers();
+    const timer = setInterval(runActiveUsers, INTERVAL_MS);
+    timer.unref();
+    logger.info(`Active users job scheduled every ${INTERVAL_MS}ms`);
+    return timer;
+};
+
+module.exports = {
+    computeActiveUsers,
+    startActiveUsersJob
+};
@@ -0,0 +1,87 @@
+const AIRequest = require('../models/AIRequest');
+const { updateAIMetrics } = require('../utils/prometheus');
+const { withLock } = require('../utils/lock');
+const logger = require('../utils/logger');
+
+const TIMEOUT_MS = parseInt(process.env.AI_REQUEST_TIMEOUT_MS) || 30000;
+const INTERVAL_MS = parseInt(process.env.AI_REQUEST_REAPER_INTERVAL_MS) || 60 * 1000;
+const BATCH_SIZE = 500;
+
+// Mark pending/processing requests older than AI_REQUEST_TIMEOUT_MS as timed out.
+// Each update is guarded on the current status, so a request completed concurrently
+// is left alone and every timeout is counted exactly once, even across instances.
+const reapStuckRequests = async () => {
+    const cutoff = new Date(Date.now() - TIMEOUT_MS);
+    let reaped = 0;
+
+    for (;;) {
+        const stuckRequests = await AIRequest.find({
+            status: { $in: ['pending', 'processing'] },
+            createdAt: { $lt: cutoff }
+        })
+            .select('requestId status model metadata.feature userPlan performance.startTime createdAt')
+            .limit(BATCH_SIZE)
+            .lean();
+
+        if (stuckRequests.length === 0) break;
+
+        for (const aiRequest of stuckRequests) {
+            const reapedAt = new Date();
+            const startTime = aiRequest.performance?.startTime || aiRequest.createdAt;
+
+            const result = await AIRequest.updateOne(
+                { _id: aiRequest._id, status: aiRequest.status },
+                {
+                    $set: {
+                        status: 'timeout',
+                        error: {
+                            code: 'AI_REQUEST_TIMEOUT',
+                            message: `Request did not complete within ${TIMEOUT_MS}ms`,
+                            details: {
+                                timeoutMs: TIMEOUT_MS,
+                                lastStatus: aiRequest.status,
+                                reapedAt
+                            }
+                        },
+                        'performance.endTime': reapedAt,
+                        'performance.duration': reapedAt - startTime,
+                        updatedAt: reapedAt
+                    }
+                }
+            );
+
+            if (result.modifiedCount > 0) {
+                reaped++;
+                updateAIMetrics.incrementRequest(aiRequest.model, 'timeout', aiRequest.metadata?.feature, aiRequest.userPlan);
+            }
+        }
+
+        if (stuckRequests.length < BATCH_SIZE) break;
+    }
+
+    if (reaped > 0) {
+        logger.info('Timed out stuck AI requests', { reaped, timeoutMs: TIMEOUT_MS });
+    }
+
+    return reaped;
+};
+
+const runReaper = async () => {
+    try {
+        await withLock('ai-request-reaper', INTERVAL_MS, reapStuckRequests);
+    } catch (error) {
+        logger.error('Error reaping stuck AI requests:', error);
+    }
+};
+
+const startAIRequestReaper = () => {
+    const timer = setInterval(runReaper, INTERVAL_MS);
+    timer.unref();
+    logger.info(`AI request reaper scheduled every ${INTERVAL_MS}ms (timeout ${TIMEOUT_MS}ms)`);
+    return timer;
+};
+
+module.exports = {
+    reapStuckRequests,
+    startAIRequestReaper
+};
@@ -0,0 +1,73 @@
+const AIRequest = require('../models/AIRequest');
+const { computeRequestCost } = require('../utils/pricing');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 500;
+
+// Recompute catalog costs of historical AI requests, e.g. after a price correction.
+// Prometheus cost counters are monotonic and are not adjusted; only stored costs change.
+const recomputeCosts = async ({ model, startDate, endDate } = {}) => {
+    const query = { 'tokens.total': { $gt: 0 } };
+    if (model) query.model = model;
+    if (startDate || endDate) {
+        // Same date the request is priced at (see getPricingDate): startTime, else createdAt
+        const range = {};
+        if (startDate) range.$gte = new Date(startDate);
+        if (endDate) range.$lte = new Date(endDate);
+        query.$or = [
+            { 'performance.startTime': range },
+            { 'performance.startTime': null, createdAt: range }
+        ];
+    }
+
+    let scanned = 0;
+    let updated = 0;
+    let operations = [];
+
+    const flush = async () => {
+        if (operations.length === 0) return;
+        const result = await AIRequest.bulkWrite(operations, { ordered: false });
+        updated += result.modifiedCount;
+        operations = [];
+    };
+
+    const cursor = AIRequest.find(query)
+        .select('model tokens cost costSource pricingId performance.startTime createdAt')
+        .lean()
+        .cursor();
+
+    for await (const aiRequest of cursor) {
+        scanned++;
+        const pricing = await computeRequestCost(aiRequest);
+        if (!pricing) continue;
+
+        if (aiRequest.cost === pricing.cost && aiRequest.costSource === 'catalog' &&
+            String(aiRequest.pricingId) === String(pricing.pricingId)) {
+            continue;
+        }
+
+        operations.push({
+            updateOne: {
+                filter: { _id: aiRequest._id },
+                update: {
+                    $set: {
+                        cost: pricing.cost,
+                        costSource: 'catalog',
+                        pricingId: pricing.pricingId
+                    }
+                }
+            }
+        });
+
+        if (operations.length >= BATCH_SIZE) {
+            await flush();
+        }
+    }
+    await flush();
+
+    logger.info('AI request costs recomputed', { model, startDate, endDate, scanned, updated });
+
+    return { scanned, updated };
+};
+
+module.exports = recomputeCosts;
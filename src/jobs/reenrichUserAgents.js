@@ -0,0 +1,122 @@
+const UserEngagement = require('../models/UserEngagement');
+const PerformanceMetrics = require('../models/PerformanceMetrics');
+const SalesAnalytics = require('../models/SalesAnalytics');
+const { parseUserAgent } = require('../utils/userAgent');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 500;
+
+const COLLECTIONS = {
+    engagement: { model: UserEngagement, dateField: 'timestamp' },
+    performance: { model: PerformanceMetrics, dateField: 'timestamp' },
+    sales: { model: SalesAnalytics, dateField: 'createdAt' }
+};
+
+const ENRICHED_FIELDS = ['browser', 'browserVersion', 'os', 'osVersion', 'deviceType'];
+
+// Keep the record's other bot reasons and re-derive the user_agent one
+const reclassifyBot = (record, device) => {
+    const previous = record.botReasons || [];
+    const botReasons = [
+        ...(device.isBot ? ['user_agent'] : []),
+        ...previous.filter(reason => reason !== 'user_agent')
+    ];
+
+    if (Boolean(record.isBot) === botReasons.length > 0 && previous.length === botReasons.length) {
+        return null;
+    }
+
+    return botReasons.length > 0
+        ? { $set: { isBot: true, botReasons } }
+        : { $set: { isBot: false }, $unset: { botReasons: '' } };
+};
+
+// Re-parse the stored User-Agent of historical records, e.g. after improving the parser,
+// and update their bot flag. Records written before the bot flag moved to the top level
+// also lose their legacy metadata.isBot. Only changed records are written.
+const reenrichCollection = async (name, { startDate, endDate }) => {
+    const { model, dateField } = COLLECTIONS[name];
+
+    const query = { 'metadata.userAgent': { $nin: [null, ''] } };
+    if (startDate || endDate) {
+        query[dateField] = {};
+        if (startDate) query[dateField].$gte = new Date(startDate);
+        if (endDate) query[dateField].$lte = new Date(endDate);
+    }
+
+    let scanned = 0;
+    let updated = 0;
+    let operations = [];
+
+    const flush = async () => {
+        if (operations.length === 0) return;
+        // Not strict: metadata.isBot is no longer in the schema and would be dropped from $unset
+        const result = await model.bulkWrite(operations, { ordered: false, strict: false });
+        updated += result.modifiedCount;
+        operations = [];
+    };
+
+    const selected = [
+        'metadata.userAgent',
+        'metadata.isBot',
+        ...ENRICHED_FIELDS.map(field => `metadata.${field}`),
+        'isBot',
+        'botReasons'
+    ];
+
+    const cursor = model.find(query)
+        .select(selected.join(' '))
+        .lean()
+        .cursor();
+
+    for await (const record of cursor) {
+        scanned++;
+        const device = parseUserAgent(record.metadata.userAgent);
+        const botUpdate = reclassifyBot(record, device);
+        const enrichmentChanged = !ENRICHED_FIELDS.every(field => (record.metadata[field] ?? null) === device[field]);
+        const legacyBotFlag = record.metadata.isBot !== undefined;
+
+        if (!enrichmentChanged && !botUpdate && !legacyBotFlag) {
+            continue;
+        }
+
+        const $unset = {
+            ...(botUpdate && botUpdate.$unset),
+            ...(legacyBotFlag && { 'metadata.isBot': '' })
+        };
+
+        operations.push({
+            updateOne: {
+                filter: { _id: record._id },
+                update: {
+                    $set: {
+                        ...Object.fromEntries(ENRICHED_FIELDS.map(field => [`metadata.${field}`, device[field]])),
+                        ...(botUpdate && botUpdate.$set)
+                    },
+                    ...(Object.keys($unset).length > 0 && { $unset })
+                }
+            }
+        });
+
+        if (operations.length >= BATCH_SIZE) {
+            await flush();
+        }
+    }
+    await flush();
+
+    return { scanned, updated };
+};
+
+const reenrichUserAgents = async ({ collections = Object.keys(COLLECTIONS), startDate, endDate } = {}) => {
+    const results = {};
+
+    for (const name of collections) {
+        results[name] = await reenrichCollection(name, { startDate, endDate });
+    }
+
+    logger.info('User agents re-enriched', { startDate, endDate, results });
+
+    return results;
+};
+
+module.exports = reenrichUserAgents;
@@ -0,0 +1,145 @@
+const UserEngagement = require('../models/UserEngagement');
+const UserSession = require('../models/UserSession');
+const { updateEngagementMetrics } = require('../utils/prometheus');
+const { withLock } = require('../utils/lock');
+const logger = require('../utils/logger');
+
+const INACTIVITY_MS = (parseInt(process.env.SESSION_INACTIVITY_MINUTES) || 30) * 60 * 1000;
+const LOOKBACK_MS = (parseInt(process.env.SESSION_LOOKBACK_HOURS) || 24) * 60 * 60 * 1000;
+const INTERVAL_MS = parseInt(process.env.SESSIONIZER_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Per-session totals over the events of the given sessions
+const aggregateSessions = (sessionIds) => UserEngagement.aggregate([
+    { $match: { sessionId: { $in: sessionIds } } },
+    { $sort: { sessionId: 1, timestamp: 1 } },
+    {
+        $group: {
+            _id: '$sessionId',
+            // A session that ends in a login carries the user on its later events
+            userId: { $max: '$userId' },
+            anonymousId: { $max: '$anonymousId' },
+            userPlan: { $last: '$userPlan' },
+            deviceType: { $first: '$metadata.deviceType' },
+            startedAt: { $first: '$timestamp' },
+            endedAt: { $last: '$timestamp' },
+            eventCount: { $sum: 1 },
+            isBot: { $max: { $eq: ['$isBot', true] } },
+            lastEventUpdatedAt: { $max: '$updatedAt' },
+            pages: {
+                $push: { $cond: [{ $eq: ['$event', 'page_view'] }, '$page', '$$REMOVE'] }
+            }
+        }
+    }
+]).allowDiskUse(true);
+
+// Turn engagement events into sessions once a session has been inactive for
+// SESSION_INACTIVITY_MINUTES. Sessions with events in the last SESSION_LOOKBACK_HOURS
+// are recomputed from all their events when new, or when an event was added or changed
+// (e.g. flagged as bot traffic) since the session was written. Each session is observed
+// in user_session_duration_seconds once, when it is inserted, even across instances.
+const sessionizeEvents = async () => {
+    const now = Date.now();
+
+    const candidates = await UserEngagement.aggregate([
+        { $match: { timestamp: { $gte: new Date(now - LOOKBACK_MS) } } },
+        {
+            $group: {
+                _id: '$sessionId',
+                endedAt: { $max: '$timestamp' },
+                lastEventUpdatedAt: { $max: '$updatedAt' }
+            }
+        },
+        { $match: { endedAt: { $lt: new Date(now - INACTIVITY_MS) } } }
+    ]).allowDiskUse(true);
+
+    if (candidates.length === 0) return 0;
+
+    const existing = await UserSession.find({ sessionId: { $in: candidates.map(candidate => candidate._id) } })
+        .select('sessionId lastEventUpdatedAt')
+        .lean();
+    const writtenAt = new Map(existing.map(session => [session.sessionId, session.lastEventUpdatedAt]));
+    const changed = candidates.filter(candidate => {
+        if (!writtenAt.has(candidate._id)) return true;
+        const lastWrite = writtenAt.get(candidate._id);
+        return !lastWrite || candidate.lastEventUpdatedAt > lastWrite;
+    });
+
+    if (changed.length === 0) return 0;
+
+    const sessions = await aggregateSessions(changed.map(candidate => candidate._id));
+
+    // Pipeline updates treat strings starting with '$' as field paths, so values are literals
+    const literal = value => ({ $literal: value ?? null });
+
+    const operations = sessions.map(session => ({
+        updateOne: {
+            filter: { sessionId: session._id },
+            update: [
+                {
+                    $set: {
+                        sessionId: literal(session._id),
+                        userId: literal(session.userId),
+                        anonymousId: literal(session.anonymousId),
+                        userPlan: literal(session.userPlan || 'free'),
+                        deviceType: literal(session.deviceType || 'desktop'),
+                        // Keep bounds of events that have since expired
+                        startedAt: { $min: ['$startedAt', session.startedAt] },
+                        endedAt: { $max: ['$endedAt', session.endedAt] },
+                        eventCount: literal(session.eventCount),
+                        pageCount: literal(session.pages.length),
+                        entryPage: literal(session.pages[0]),
+                        exitPage: literal(session.pages[session.pages.length - 1]),
+                        bounce: literal(session.eventCount === 1),
+                        isBot: literal(session.isBot),
+                        lastEventUpdatedAt: literal(session.lastEventUpdatedAt),
+                        createdAt: { $ifNull: ['$createdAt', '$$NOW'] },
+                        updatedAt: '$$NOW'
+                    }
+                },
+                { $set: { duration: { $divide: [{ $subtract: ['$endedAt', '$startedAt'] }, 1000] } } }
+            ],
+            upsert: true
+        }
+    }));
+
+    // Through the driver: mongoose would add its own timestamps to the pipeline
+    const result = await UserSession.collection.bulkWrite(operations, { ordered: false });
+
+    // Only sessions this run inserted are observed, and bot sessions not at all
+    for (const index of Object.keys(result.upsertedIds)) {
+        const session = sessions[index];
+        if (session.isBot) continue;
+        updateEngagementMetrics.recordSessionDuration(
+            session.userPlan || 'free',
+            (session.endedAt - session.startedAt) / 1000
+        );
+    }
+
+    const created = result.upsertedCount;
+    const updated = result.modifiedCount;
+    if (created > 0 || updated > 0) {
+        logger.info('Sessionized engagement events', { created, updated });
+    }
+
+    return created + updated;
+};
+
+const runSessionizer = async () => {
+    try {
+        await withLock('sessionizer', INTERVAL_MS, sessionizeEvents);
+    } catch (error) {
+        logger.error('Error sessionizing engagement events:', error);
+    }
+};
+
+const startSessionizer = () => {
+    const timer = setInterval(runSessionizer, INTERVAL_MS);
+    timer.unref();
+    logger.info(`Sessionizer scheduled every ${INTERVAL_MS}ms (inactivity ${INACTIVITY_MS}ms)`);
+    return timer;
+};
+
+module.exports = {
+    sessionizeEvents,
+    startSessionizer
+};
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { isIngestionEnabled, verifyIngestionToken } = require('../utils/ingestionToken');
 const dotenv = require('dotenv');
 dotenv.config();
 
@@ -135,8 +136,49 @@ const adminOnly = (req, res, next) => {
     next();
 };
 
+// Ingestion token middleware for beacon endpoints. navigator.sendBeacon cannot set
+// headers, so the token may also be sent as `token` in the (already parsed) body.
+const ingestionAuth = (req, res, next) => {
+    if (!isIngestionEnabled()) {
+        return res.status(503).json({
+            error: 'Ingestion disabled',
+            message: 'Beacon ingestion is not configured'
+        });
+    }
+
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.startsWith('Bearer ')
+        ? authHeader.substring(7)
+        : req.body?.token;
+
+    if (!token) {
+        return res.status(401).json({
+            error: 'Ingestion token required',
+            message: 'Please provide a valid ingestion token'
+        });
+    }
+
+    try {
+        req.user = verifyIngestionToken(token);
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                error: 'Token expired',
+                message: 'Ingestion token has expired'
+            });
+        }
+
+        return res.status(401).json({
+            error: 'Invalid token',
+            message: 'Ingestion token is malformed or invalid'
+        });
+    }
+};
+
 module.exports = {
     authMiddleware,
     optionalAuth,
-    adminOnly
+    adminOnly,
+    ingestionAuth
 }; 
\ No newline at end of file
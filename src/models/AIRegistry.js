@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const aiRegistrySchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: ['model', 'feature'],
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    aliases: {
+        type: [String],
+        default: []
+    },
+    description: String,
+    active: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for efficient querying
+aiRegistrySchema.index({ type: 1, name: 1 }, { unique: true });
+aiRegistrySchema.index({ type: 1, aliases: 1 });
+
+// Pre-save middleware to normalize aliases
+aiRegistrySchema.pre('save', function(next) {
+    this.aliases = [...new Set(this.aliases.map(alias => alias.trim()).filter(Boolean))]
+        .filter(alias => alias !== this.name);
+    next();
+});
+
+module.exports = mongoose.model('AIRegistry', aiRegistrySchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { isRegisteredName } = require('../utils/aiRegistry');
+const { clusterSimHashes } = require('../utils/promptFingerprint');
+const { maskText } = require('../utils/redaction');
+const redactionConfig = require('../config/redaction');
 
 const aiRequestSchema = new mongoose.Schema({
     userId: {
@@ -16,18 +20,50 @@ const aiRequestSchema = new mongoose.Schema({
     model: {
         type: String,
         required: true,
-        enum: ['gpt-4', 'gpt-3.5-turbo', 'claude-3', 'gemini-pro', 'custom'],
+        validate: {
+            validator: value => isRegisteredName('model', value),
+            message: props => `${props.value} is not a registered model`
+        },
         index: true
     },
+    // Retry and fallback chain: attempts share the requestId of the first attempt as parent
+    parentRequestId: {
+        type: String,
+        default: null
+    },
+    attempt: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    fallbackFrom: String, // model of the previous attempt when this attempt switched models
     prompt: {
         type: String,
         required: true,
         maxlength: 10000
     },
+    promptFingerprint: String, // keyed hash of the normalized prompt
+    promptSimHash: String, // 64-bit SimHash for near-duplicate detection
     response: {
         type: String,
         maxlength: 50000
     },
+    redaction: {
+        prompt: {
+            mode: String, // 'none', 'mask' or 'hash'
+            applied: [String], // detectors that matched
+            matches: Number,
+            hash: String,
+            length: Number
+        },
+        response: {
+            mode: String,
+            applied: [String],
+            matches: Number,
+            hash: String,
+            length: Number
+        }
+    },
     tokens: {
         input: {
             type: Number,
@@ -46,9 +82,18 @@ const aiRequestSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    costSource: {
+        type: String,
+        enum: ['client', 'catalog'],
+        default: 'client'
+    },
+    pricingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ModelPricing'
+    },
     status: {
         type: String,
-        enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+        enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'timeout'],
         default: 'pending',
         index: true
     },
@@ -63,7 +108,10 @@ const aiRequestSchema = new mongoose.Schema({
         sessionId: String,
         feature: {
             type: String,
-            enum: ['artwork-analysis', 'style-recommendation', 'market-analysis', 'portfolio-review', 'other'],
+            validate: {
+                validator: value => isRegisteredName('feature', value),
+                message: props => `${props.value} is not a registered feature`
+            },
             default: 'other'
         },
         complexity: {
@@ -80,8 +128,37 @@ const aiRequestSchema = new mongoose.Schema({
         startTime: Date,
         endTime: Date,
         duration: Number, // in milliseconds
-        queueTime: Number, // time spent in queue
-        processingTime: Number // actual processing time
+        queuedAt: Date, // lifecycle checkpoints reported by the AI service
+        startedAt: Date,
+        firstTokenAt: Date,
+        completedAt: Date,
+        queueTime: Number, // time spent in queue (startedAt - queuedAt)
+        timeToFirstToken: Number, // provider latency to the first token (firstTokenAt - startedAt)
+        processingTime: Number // actual processing time (completedAt - startedAt)
+    },
+    experiment: {
+        key: String,
+        variant: String
+    },
+    feedback: {
+        rating: {
+            type: Number,
+            min: 1,
+            max: 5
+        },
+        thumbs: {
+            type: String,
+            enum: ['up', 'down']
+        },
+        reason: {
+            type: String,
+            maxlength: 2000
+        },
+        regenerated: {
+            type: Boolean,
+            default: undefined
+        },
+        submittedAt: Date
     },
     userPlan: {
         type: String,
@@ -108,28 +185,95 @@ aiRequestSchema.index({ status: 1, createdAt: -1 });
 aiRequestSchema.index({ model: 1, createdAt: -1 });
 aiRequestSchema.index({ 'metadata.feature': 1, createdAt: -1 });
 aiRequestSchema.index({ userPlan: 1, createdAt: -1 });
+aiRequestSchema.index({ parentRequestId: 1, attempt: 1 });
+aiRequestSchema.index({ 'metadata.feature': 1, promptFingerprint: 1 });
+aiRequestSchema.index({ 'experiment.key': 1, 'experiment.variant': 1, createdAt: -1 }, { sparse: true });
+aiRequestSchema.index({ 'error.code': 1, createdAt: -1 });
+
+// Full-text index for the admin explorer; no stemming since prompts are multilingual
+aiRequestSchema.index(
+    { prompt: 'text', response: 'text' },
+    { name: 'prompt_response_text', default_language: 'none' }
+);
 
 // TTL index to automatically delete old records
 aiRequestSchema.index({ createdAt: 1 }, { 
     expireAfterSeconds: parseInt(process.env.METRICS_RETENTION_DAYS || 90) * 24 * 60 * 60 
 });
 
-// Pre-save middleware to calculate total tokens
+// Lifecycle checkpoints and the phase durations derived from them
+const CHECKPOINT_FIELDS = {
+    queued: 'queuedAt',
+    started: 'startedAt',
+    first_token: 'firstTokenAt',
+    completed: 'completedAt'
+};
+
+const PHASE_DURATIONS = {
+    queueTime: ['queuedAt', 'startedAt'],
+    timeToFirstToken: ['startedAt', 'firstTokenAt'],
+    processingTime: ['startedAt', 'completedAt']
+};
+
+// Pre-save middleware to calculate total tokens and phase durations
 aiRequestSchema.pre('save', function(next) {
     this.tokens.total = (this.tokens.input || 0) + (this.tokens.output || 0);
+
+    for (const [duration, [from, to]] of Object.entries(PHASE_DURATIONS)) {
+        const start = this.performance[from];
+        const end = this.performance[to];
+        if (start && end) {
+            this.performance[duration] = Math.max(end - start, 0);
+        }
+    }
+
     this.updatedAt = new Date();
     next();
 });
 
-// Static method to get request statistics
-aiRequestSchema.statics.getStats = async function(filters = {}) {
+// Record a lifecycle checkpoint. The first timestamp reported for a phase wins;
+// phases set by this call are kept in $locals so their metrics are observed once.
+aiRequestSchema.methods.recordCheckpoint = function(phase, timestamp = new Date()) {
+    const field = CHECKPOINT_FIELDS[phase];
+    if (!field || this.performance[field]) return false;
+
+    this.performance[field] = timestamp;
+    this.$locals.newCheckpoints = [...(this.$locals.newCheckpoints || []), field];
+    return true;
+};
+
+// Phase durations that became available through checkpoints recorded on this document
+aiRequestSchema.methods.getNewPhaseDurations = function() {
+    const newCheckpoints = this.$locals.newCheckpoints || [];
+
+    return Object.entries(PHASE_DURATIONS)
+        .filter(([duration, fields]) =>
+            this.performance[duration] !== undefined && fields.some(field => newCheckpoints.includes(field))
+        )
+        .map(([duration]) => ({ phase: duration, duration: this.performance[duration] }));
+};
+
+const PERCENTILES = [0.5, 0.9, 0.95, 0.99];
+
+// Turn a $percentile result array into { p50, p90, p95, p99 }
+const toPercentiles = (values = []) => {
+    return PERCENTILES.reduce((result, p, i) => {
+        result[`p${Math.round(p * 100)}`] = values?.[i] ?? null;
+        return result;
+    }, {});
+};
+
+// Build the $match stage shared by the statistics methods
+const buildMatchStage = (filters = {}) => {
     const matchStage = {};
     
-    if (filters.userId) matchStage.userId = filters.userId;
+    if (filters.userId) matchStage.userId = new mongoose.Types.ObjectId(String(filters.userId));
     if (filters.status) matchStage.status = filters.status;
     if (filters.model) matchStage.model = filters.model;
     if (filters.userPlan) matchStage.userPlan = filters.userPlan;
     if (filters.feature) matchStage['metadata.feature'] = filters.feature;
+    if (filters.experimentKey) matchStage['experiment.key'] = filters.experimentKey;
+    if (filters.variant) matchStage['experiment.variant'] = filters.variant;
     
     if (filters.startDate || filters.endDate) {
         matchStage.createdAt = {};
@@ -137,33 +281,390 @@ aiRequestSchema.statics.getStats = async function(filters = {}) {
         if (filters.endDate) matchStage.createdAt.$lte = new Date(filters.endDate);
     }
 
+    return matchStage;
+};
+
+aiRequestSchema.statics.buildMatchStage = buildMatchStage;
+
+// Static method to get request statistics
+aiRequestSchema.statics.getStats = async function(filters = {}) {
+    const matchStage = buildMatchStage(filters);
+
     const stats = await this.aggregate([
         { $match: matchStage },
         {
             $group: {
                 _id: null,
                 totalRequests: { $sum: 1 },
+                logicalRequests: {
+                    $sum: { $cond: [{ $eq: [{ $ifNull: ['$parentRequestId', null] }, null] }, 1, 0] }
+                },
+                retryAttempts: {
+                    $sum: { $cond: [{ $gt: ['$attempt', 1] }, 1, 0] }
+                },
+                fallbackAttempts: {
+                    $sum: { $cond: [{ $ifNull: ['$fallbackFrom', false] }, 1, 0] }
+                },
                 totalTokens: { $sum: '$tokens.total' },
                 totalCost: { $sum: '$cost' },
+                avgCost: { $avg: '$cost' },
+                costStdDev: { $stdDevSamp: '$cost' },
                 avgDuration: { $avg: '$performance.duration' },
+                durationStdDev: { $stdDevSamp: '$performance.duration' },
+                // Requests the duration mean and spread are computed over
+                durationCount: {
+                    $sum: { $cond: [{ $isNumber: '$performance.duration' }, 1, 0] }
+                },
+                durationPercentiles: {
+                    $percentile: { input: '$performance.duration', p: PERCENTILES, method: 'approximate' }
+                },
                 successCount: {
                     $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
                 },
                 failureCount: {
                     $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] }
+                },
+                timeoutCount: {
+                    $sum: { $cond: [{ $eq: ['$status', 'timeout'] }, 1, 0] }
                 }
             }
         }
     ]);
 
-    return stats[0] || {
+    if (stats[0]) {
+        const { durationPercentiles, ...rest } = stats[0];
+        return { ...rest, duration: toPercentiles(durationPercentiles) };
+    }
+
+    return {
         totalRequests: 0,
+        logicalRequests: 0,
+        retryAttempts: 0,
+        fallbackAttempts: 0,
         totalTokens: 0,
         totalCost: 0,
+        avgCost: 0,
+        costStdDev: null,
         avgDuration: 0,
+        durationStdDev: null,
+        durationCount: 0,
+        duration: toPercentiles(),
         successCount: 0,
-        failureCount: 0
+        failureCount: 0,
+        timeoutCount: 0
     };
 };
 
+// Static method to get request volume, cost and feedback quality grouped by a field
+// (e.g. 'model' or 'metadata.feature'), to compare quality per unit of cost
+aiRequestSchema.statics.getQualityDistribution = async function(groupBy, filters = {}) {
+    const matchStage = buildMatchStage(filters);
+
+    return await this.aggregate([
+        { $match: matchStage },
+        {
+            $group: {
+                _id: `$${groupBy}`,
+                count: { $sum: 1 },
+                avgDuration: { $avg: '$performance.duration' },
+                totalCost: { $sum: '$cost' },
+                feedbackCount: {
+                    $sum: { $cond: [{ $ifNull: ['$feedback.submittedAt', false] }, 1, 0] }
+                },
+                avgRating: { $avg: '$feedback.rating' },
+                thumbsUp: {
+                    $sum: { $cond: [{ $eq: ['$feedback.thumbs', 'up'] }, 1, 0] }
+                },
+                thumbsDown: {
+                    $sum: { $cond: [{ $eq: ['$feedback.thumbs', 'down'] }, 1, 0] }
+                },
+                regenerateCount: {
+                    $sum: { $cond: [{ $eq: ['$feedback.regenerated', true] }, 1, 0] }
+                }
+            }
+        },
+        {
+            $project: {
+                count: 1,
+                avgDuration: 1,
+                totalCost: 1,
+                feedbackCount: 1,
+                avgRating: 1,
+                thumbsUp: 1,
+                thumbsDown: 1,
+                regenerateCount: 1,
+                satisfactionRate: {
+                    $cond: [
+                        { $gt: [{ $add: ['$thumbsUp', '$thumbsDown'] }, 0] },
+                        { $multiply: [{ $divide: ['$thumbsUp', { $add: ['$thumbsUp', '$thumbsDown'] }] }, 100] },
+                        null
+                    ]
+                },
+                regenerateRate: {
+                    $cond: [
+                        { $gt: ['$feedbackCount', 0] },
+                        { $multiply: [{ $divide: ['$regenerateCount', '$feedbackCount'] }, 100] },
+                        null
+                    ]
+                },
+                costPerPositiveFeedback: {
+                    $cond: [{ $gt: ['$thumbsUp', 0] }, { $divide: ['$totalCost', '$thumbsUp'] }, null]
+                }
+            }
+        },
+        { $sort: { count: -1 } }
+    ]);
+};
+
+// Static method to get duration percentiles of completed requests grouped by a field
+// (e.g. 'model', 'metadata.feature' or 'metadata.complexity')
+aiRequestSchema.statics.getLatencyPercentiles = async function(groupBy, filters = {}) {
+    const matchStage = {
+        ...buildMatchStage(filters),
+        status: 'completed',
+        'performance.duration': { $type: 'number' }
+    };
+
+    const groups = await this.aggregate([
+        { $match: matchStage },
+        {
+            $group: {
+                _id: `$${groupBy}`,
+                count: { $sum: 1 },
+                avgDuration: { $avg: '$performance.duration' },
+                maxDuration: { $max: '$performance.duration' },
+                durationPercentiles: {
+                    $percentile: { input: '$performance.duration', p: PERCENTILES, method: 'approximate' }
+                }
+            }
+        },
+        { $sort: { count: -1 } }
+    ]);
+
+    return groups.map(({ durationPercentiles, ...group }) => ({
+        ...group,
+        ...toPercentiles(durationPercentiles)
+    }));
+};
+
+// Static method to get failures grouped by error code, with the models affected,
+// a few recent sample messages and when the error was first and last seen
+aiRequestSchema.statics.getErrorBreakdown = async function(filters = {}) {
+    const matchStage = buildMatchStage(filters);
+    matchStage.status = filters.status || { $in: ['failed', 'timeout'] };
+
+    const errors = await this.aggregate([
+        { $match: matchStage },
+        {
+            $group: {
+                _id: {
+                    code: { $ifNull: ['$error.code', 'UNKNOWN'] },
+                    model: '$model'
+                },
+                count: { $sum: 1 },
+                firstSeen: { $min: '$createdAt' },
+                lastSeen: { $max: '$createdAt' },
+                sampleMessages: {
+                    $topN: { n: 10, sortBy: { createdAt: -1 }, output: '$error.message' }
+                }
+            }
+        },
+        {
+            $group: {
+                _id: '$_id.code',
+                count: { $sum: '$count' },
+                firstSeen: { $min: '$firstSeen' },
+                lastSeen: { $max: '$lastSeen' },
+                models: { $push: { model: '$_id.model', count: '$count' } },
+                sampleMessages: { $push: '$sampleMessages' }
+            }
+        },
+        { $sort: { count: -1 } }
+    ]);
+
+    return errors.map(error => ({
+        code: error._id,
+        count: error.count,
+        firstSeen: error.firstSeen,
+        lastSeen: error.lastSeen,
+        models: error.models.sort((a, b) => b.count - a.count),
+        sampleMessages: [...new Set(error.sampleMessages.flat().filter(Boolean))].slice(0, 5)
+    }));
+};
+
+// Merge exact SimHash groups of the same feature whose hashes are near-duplicates
+const mergeSimilarGroups = (groups) => {
+    const representatives = new Map();
+    const hashesByFeature = new Map();
+    for (const group of groups) {
+        const hashes = hashesByFeature.get(group._id.feature) || [];
+        hashes.push(group._id.key);
+        hashesByFeature.set(group._id.feature, hashes);
+    }
+    for (const [feature, hashes] of hashesByFeature) {
+        representatives.set(feature, clusterSimHashes(hashes));
+    }
+
+    const clusters = new Map();
+    for (const group of [...groups].sort((a, b) => b.occurrences - a.occurrences)) {
+        const key = representatives.get(group._id.feature).get(group._id.key);
+        const clusterKey = JSON.stringify([group._id.feature, key]);
+        const cluster = clusters.get(clusterKey);
+
+        // The largest group comes first and provides the cluster's sample prompt
+        if (!cluster) {
+            clusters.set(clusterKey, { ...group, _id: { feature: group._id.feature, key } });
+            continue;
+        }
+        cluster.occurrences += group.occurrences;
+        cluster.uniqueUsers = cluster.uniqueUsers.concat(group.uniqueUsers);
+        cluster.totalTokens += group.totalTokens;
+        cluster.totalCost += group.totalCost;
+        cluster.models = [...new Set([...cluster.models, ...group.models])];
+        if (group.firstSeen < cluster.firstSeen) cluster.firstSeen = group.firstSeen;
+        if (group.lastSeen > cluster.lastSeen) cluster.lastSeen = group.lastSeen;
+    }
+
+    return [...clusters.values()];
+};
+
+// Static method to estimate what a response cache would have saved. Completed requests are
+// clustered per feature by prompt fingerprint, or with match=similar by SimHashes within a
+// small Hamming distance; every repeat after the first occurrence of a cluster is counted as
+// a potential cache hit.
+aiRequestSchema.statics.getCacheOpportunities = async function(filters = {}, options = {}) {
+    const { match = 'exact', minOccurrences = 2, limit = 20 } = options;
+    const keyField = match === 'similar' ? 'promptSimHash' : 'promptFingerprint';
+
+    const matchStage = {
+        ...buildMatchStage(filters),
+        status: 'completed',
+        [keyField]: { $exists: true, $ne: null }
+    };
+
+    const groups = await this.aggregate([
+        { $match: matchStage },
+        {
+            $group: {
+                _id: { feature: '$metadata.feature', key: `$${keyField}` },
+                occurrences: { $sum: 1 },
+                uniqueUsers: { $addToSet: '$userId' },
+                totalTokens: { $sum: '$tokens.total' },
+                totalCost: { $sum: '$cost' },
+                models: { $addToSet: '$model' },
+                firstSeen: { $min: '$createdAt' },
+                lastSeen: { $max: '$createdAt' },
+                samplePrompt: { $first: '$prompt' }
+            }
+        },
+        // Similar groups are merged before the threshold applies
+        ...(match === 'similar' ? [] : [{ $match: { occurrences: { $gte: minOccurrences } } }])
+    ]).allowDiskUse(true);
+
+    const clusters = (match === 'similar' ? mergeSimilarGroups(groups) : groups)
+        .filter(group => group.occurrences >= minOccurrences)
+        .map(group => {
+            const repeatShare = (group.occurrences - 1) / group.occurrences;
+            return {
+                feature: group._id.feature,
+                key: group._id.key,
+                occurrences: group.occurrences,
+                uniqueUsers: new Set(group.uniqueUsers.map(String)).size,
+                totalTokens: group.totalTokens,
+                totalCost: group.totalCost,
+                models: group.models,
+                firstSeen: group.firstSeen,
+                lastSeen: group.lastSeen,
+                // Stored prompts follow their feature's redaction policy, which may be none
+                samplePrompt: group.samplePrompt
+                    ? Array.from(maskText(group.samplePrompt, redactionConfig.detectors).text).slice(0, 200).join('')
+                    : group.samplePrompt,
+                savableTokens: group.totalTokens * repeatShare,
+                savableCost: group.totalCost * repeatShare
+            };
+        })
+        .sort((a, b) => b.occurrences - a.occurrences);
+
+    const byFeature = {};
+    for (const cluster of clusters) {
+        const feature = byFeature[cluster.feature] || (byFeature[cluster.feature] = {
+            feature: cluster.feature,
+            clusters: 0,
+            repeatedRequests: 0,
+            savableTokens: 0,
+            savableCost: 0
+        });
+        feature.clusters++;
+        feature.repeatedRequests += cluster.occurrences - 1;
+        feature.savableTokens += cluster.savableTokens;
+        feature.savableCost += cluster.savableCost;
+    }
+
+    return {
+        features: Object.values(byFeature).sort((a, b) => b.savableCost - a.savableCost),
+        topPrompts: clusters.slice(0, limit)
+    };
+};
+
+// Static method to get fallback rates between models.
+// The rate is the share of logical requests started on `fromModel` that fell back to `toModel`.
+aiRequestSchema.statics.getFallbackStats = async function(filters = {}) {
+    const matchStage = buildMatchStage(filters);
+    // Model filters select the starting model of the chain, not the fallback target
+    delete matchStage.model;
+
+    const [fallbacks, logicalByModel] = await Promise.all([
+        this.aggregate([
+            { $match: { ...matchStage, fallbackFrom: { $ne: null } } },
+            {
+                $group: {
+                    _id: { fromModel: '$fallbackFrom', toModel: '$model' },
+                    count: { $sum: 1 },
+                    successCount: {
+                        $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+                    }
+                }
+            }
+        ]),
+        this.aggregate([
+            { $match: { ...matchStage, parentRequestId: null } },
+            { $group: { _id: '$model', count: { $sum: 1 } } }
+        ])
+    ]);
+
+    const logicalCounts = new Map(logicalByModel.map(entry => [entry._id, entry.count]));
+
+    return fallbacks
+        .filter(entry => !filters.model || entry._id.fromModel === filters.model)
+        .map(entry => {
+            const logicalRequests = logicalCounts.get(entry._id.fromModel) || 0;
+            return {
+                fromModel: entry._id.fromModel,
+                toModel: entry._id.toModel,
+                count: entry.count,
+                successCount: entry.successCount,
+                logicalRequests,
+                fallbackRate: logicalRequests > 0 ? (entry.count / logicalRequests) * 100 : 0
+            };
+        })
+        .sort((a, b) => b.count - a.count);
+};
+
+// Static method to get every attempt of the logical request an attempt belongs to
+aiRequestSchema.statics.getAttemptChain = async function(requestId, userId) {
+    const query = { requestId };
+    if (userId) query.userId = userId;
+
+    const aiRequest = await this.findOne(query).select('requestId parentRequestId').lean();
+    if (!aiRequest) return null;
+
+    const rootRequestId = aiRequest.parentRequestId || aiRequest.requestId;
+    return await this.find({
+        $or: [{ requestId: rootRequestId }, { parentRequestId: rootRequestId }]
+    })
+        .sort({ attempt: 1, createdAt: 1 })
+        .select('-prompt -response')
+        .lean();
+};
+
 module.exports = mongoose.model('AIRequest', aiRequestSchema); 
\ No newline at end of file
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Audit trail of views of sensitive data, such as full AI prompts and responses
+const accessLogSchema = new mongoose.Schema({
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    actorRole: String,
+    action: {
+        type: String,
+        required: true,
+        enum: ['view_ai_request_content'],
+        index: true
+    },
+    resource: {
+        type: String,
+        required: true,
+        default: 'AIRequest'
+    },
+    resourceIds: {
+        type: [String],
+        index: true
+    },
+    fields: [String],
+    query: mongoose.Schema.Types.Mixed,
+    metadata: {
+        ipAddress: String,
+        userAgent: String,
+        path: String
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+accessLogSchema.index({ actorId: 1, timestamp: -1 });
+
+// TTL index, audit records are kept longer than metrics
+accessLogSchema.index({ timestamp: 1 }, {
+    expireAfterSeconds: parseInt(process.env.ACCESS_LOG_RETENTION_DAYS || 365) * 24 * 60 * 60
+});
+
+module.exports = mongoose.model('AccessLog', accessLogSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Daily snapshot of rolling active user counts, written by the active users job.
+// The job overwrites the current day's snapshot on every run, so each day keeps its
+// latest values.
+const activeUserSnapshotSchema = new mongoose.Schema({
+    date: {
+        type: Date, // start of the UTC day
+        required: true
+    },
+    userPlan: {
+        type: String,
+        enum: ['all', 'free', 'basic', 'premium'],
+        required: true
+    },
+    dau: {
+        type: Number,
+        default: 0
+    },
+    wau: {
+        type: Number,
+        default: 0
+    },
+    mau: {
+        type: Number,
+        default: 0
+    },
+    stickiness: {
+        type: Number, // dau / mau
+        default: 0
+    },
+    computedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+activeUserSnapshotSchema.index({ date: -1, userPlan: 1 }, { unique: true });
+
+module.exports = mongoose.model('ActiveUserSnapshot', activeUserSnapshotSchema);
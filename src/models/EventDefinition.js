@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Registry of engagement event and feature names. Events can carry a JSON schema for
+// their `properties`; in strict mode non-conforming events are rejected, in lenient
+// mode they are stored with the schema errors attached.
+const eventDefinitionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: ['event', 'feature'],
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    owner: String,
+    propertiesSchema: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    mode: {
+        type: String,
+        enum: ['strict', 'lenient'],
+        default: 'lenient'
+    },
+    active: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+eventDefinitionSchema.index({ type: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('EventDefinition', eventDefinitionSchema);
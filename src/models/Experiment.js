@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const variantSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    model: String, // model the variant routes to, if it differs from the control
+    promptTemplate: String,
+    weight: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 50 // share of traffic, in percent
+    }
+}, { _id: false });
+
+const experimentSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    description: String,
+    feature: String,
+    startDate: {
+        type: Date,
+        required: true
+    },
+    endDate: Date,
+    variants: {
+        type: [variantSchema],
+        validate: {
+            validator: variants => variants.length >= 2 &&
+                new Set(variants.map(variant => variant.key)).size === variants.length,
+            message: 'An experiment needs at least two variants with unique keys'
+        }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+experimentSchema.index({ startDate: -1 });
+
+experimentSchema.pre('validate', function(next) {
+    if (this.endDate && this.startDate && this.endDate <= this.startDate) {
+        this.invalidate('endDate', 'endDate must be after startDate');
+    }
+    next();
+});
+
+experimentSchema.methods.hasVariant = function(variantKey) {
+    return this.variants.some(variant => variant.key === variantKey);
+};
+
+module.exports = mongoose.model('Experiment', experimentSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const funnelStepSchema = new mongoose.Schema({
+    event: {
+        type: String,
+        required: true
+    },
+    feature: String // optional; when set the step only matches events for this feature
+}, { _id: false });
+
+// Saved funnel definition for POST /api/analytics/funnels
+const funnelSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    description: String,
+    steps: {
+        type: [funnelStepSchema],
+        validate: {
+            validator: steps => steps.length >= 2 && steps.length <= 10,
+            message: 'A funnel needs between 2 and 10 steps'
+        }
+    },
+    conversionWindowHours: {
+        type: Number,
+        min: 1,
+        default: 24 * 7
+    },
+    filters: {
+        userPlan: {
+            type: String,
+            enum: ['free', 'basic', 'premium']
+        },
+        deviceType: {
+            type: String,
+            enum: ['desktop', 'mobile', 'tablet']
+        }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Funnel', funnelSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Link between an anonymous visitor id and the user it was stitched onto
+const identityLinkSchema = new mongoose.Schema({
+    anonymousId: {
+        type: String,
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    linkedBy: {
+        type: String,
+        enum: ['login', 'registration'],
+        required: true
+    },
+    firstLinkedAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastLinkedAt: {
+        type: Date,
+        default: Date.now
+    },
+    stitchedEvents: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+identityLinkSchema.index({ anonymousId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdentityLink', identityLinkSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { isRegisteredName } = require('../utils/aiRegistry');
+
+const modelPricingSchema = new mongoose.Schema({
+    model: {
+        type: String,
+        required: true,
+        validate: {
+            validator: value => isRegisteredName('model', value),
+            message: props => `${props.value} is not a registered model`
+        },
+        index: true
+    },
+    inputPricePerToken: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    outputPricePerToken: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    effectiveFrom: {
+        type: Date,
+        required: true
+    },
+    effectiveTo: {
+        type: Date,
+        default: null // open-ended
+    },
+    notes: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for efficient querying
+modelPricingSchema.index({ model: 1, effectiveFrom: -1 });
+
+modelPricingSchema.pre('validate', function(next) {
+    if (this.effectiveTo && this.effectiveFrom && this.effectiveTo <= this.effectiveFrom) {
+        this.invalidate('effectiveTo', 'effectiveTo must be after effectiveFrom');
+    }
+    next();
+});
+
+// Static method to find prices whose effective range overlaps [from, to)
+modelPricingSchema.statics.findOverlapping = async function(model, from, to, excludeId) {
+    const query = {
+        model,
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gt: from } }]
+    };
+    if (to) query.effectiveFrom = { $lt: to };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    return await this.find(query).sort({ effectiveFrom: 1 });
+};
+
+// Calculate the cost of a token usage at this price
+modelPricingSchema.methods.calculateCost = function(tokens = {}) {
+    return (tokens.input || 0) * this.inputPricePerToken +
+        (tokens.output || 0) * this.outputPricePerToken;
+};
+
+module.exports = mongoose.model('ModelPricing', modelPricingSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { geoGroupKey, geoMatch } = require('../utils/geoip');
 
 const performanceMetricsSchema = new mongoose.Schema({
     service: {
@@ -53,6 +54,11 @@ const performanceMetricsSchema = new mongoose.Schema({
     metadata: {
         userAgent: String,
         ipAddress: String,
+        geo: {
+            country: String, // ISO country code
+            region: String,
+            city: String
+        },
         userPlan: {
             type: String,
             enum: ['free', 'basic', 'premium'],
@@ -61,13 +67,28 @@ const performanceMetricsSchema = new mongoose.Schema({
         region: String,
         timezone: String,
         browser: String,
+        browserVersion: String,
         os: String,
+        osVersion: String,
         deviceType: {
             type: String,
             enum: ['desktop', 'mobile', 'tablet'],
             default: 'desktop'
         }
     },
+    // Bot classification at ingestion (see utils/botDetection). Analytics exclude
+    // bot traffic unless asked to include it.
+    isBot: {
+        type: Boolean,
+        default: false
+    },
+    botReasons: {
+        type: [{
+            type: String,
+            enum: ['user_agent', 'ip_range', 'event_rate', 'no_scroll']
+        }],
+        default: undefined
+    },
     system: {
         cpu: {
             usage: Number, // percentage
@@ -118,6 +139,7 @@ performanceMetricsSchema.index({ endpoint: 1, timestamp: -1 });
 performanceMetricsSchema.index({ statusCode: 1, timestamp: -1 });
 performanceMetricsSchema.index({ responseTime: 1, timestamp: -1 });
 performanceMetricsSchema.index({ userId: 1, timestamp: -1 });
+performanceMetricsSchema.index({ 'metadata.geo.country': 1, timestamp: -1 });
 
 // TTL index to automatically delete old records
 performanceMetricsSchema.index({ timestamp: 1 }, { 
@@ -133,6 +155,7 @@ performanceMetricsSchema.statics.getPerformanceStats = async function(filters =
     if (filters.method) matchStage.method = filters.method;
     if (filters.statusCode) matchStage.statusCode = filters.statusCode;
     if (filters.userId) matchStage.userId = filters.userId;
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
     
     if (filters.startDate || filters.endDate) {
         matchStage.timestamp = {};
@@ -188,6 +211,7 @@ performanceMetricsSchema.statics.getSlowestEndpoints = async function(filters =
     const matchStage = {};
     
     if (filters.service) matchStage.service = filters.service;
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
     if (filters.startDate || filters.endDate) {
         matchStage.timestamp = {};
         if (filters.startDate) matchStage.timestamp.$gte = new Date(filters.startDate);
@@ -231,11 +255,63 @@ performanceMetricsSchema.statics.getSlowestEndpoints = async function(filters =
     ]);
 };
 
+// Static method to get request latency by country, region or city
+performanceMetricsSchema.statics.getLatencyByGeo = async function(level = 'country', filters = {}, limit = 50) {
+    const matchStage = geoMatch(filters);
+
+    if (filters.service) matchStage.service = filters.service;
+    if (filters.endpoint) matchStage.endpoint = filters.endpoint;
+    if (filters.method) matchStage.method = filters.method;
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
+
+    if (filters.startDate || filters.endDate) {
+        matchStage.timestamp = {};
+        if (filters.startDate) matchStage.timestamp.$gte = new Date(filters.startDate);
+        if (filters.endDate) matchStage.timestamp.$lte = new Date(filters.endDate);
+    }
+
+    const rows = await this.aggregate([
+        { $match: matchStage },
+        {
+            $group: {
+                _id: geoGroupKey(level),
+                totalRequests: { $sum: 1 },
+                avgResponseTime: { $avg: '$responseTime' },
+                responseTimePercentiles: {
+                    $percentile: { input: '$responseTime', p: [0.5, 0.95, 0.99], method: 'approximate' }
+                },
+                errorCount: {
+                    $sum: { $cond: [{ $gte: ['$statusCode', 400] }, 1, 0] }
+                }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                location: '$_id',
+                totalRequests: 1,
+                avgResponseTime: 1,
+                p50ResponseTime: { $arrayElemAt: ['$responseTimePercentiles', 0] },
+                p95ResponseTime: { $arrayElemAt: ['$responseTimePercentiles', 1] },
+                p99ResponseTime: { $arrayElemAt: ['$responseTimePercentiles', 2] },
+                errorRate: {
+                    $multiply: [{ $divide: ['$errorCount', '$totalRequests'] }, 100]
+                }
+            }
+        },
+        { $sort: { totalRequests: -1 } },
+        { $limit: limit }
+    ]).allowDiskUse(true);
+
+    return rows.map(({ location, ...row }) => ({ ...location, ...row }));
+};
+
 // Static method to get error rates by endpoint
 performanceMetricsSchema.statics.getErrorRates = async function(filters = {}) {
     const matchStage = {};
     
     if (filters.service) matchStage.service = filters.service;
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
     if (filters.startDate || filters.endDate) {
         matchStage.timestamp = {};
         if (filters.startDate) matchStage.timestamp.$gte = new Date(filters.startDate);
@@ -313,6 +389,7 @@ performanceMetricsSchema.statics.getSystemResources = async function(filters = {
     const matchStage = {};
     
     if (filters.service) matchStage.service = filters.service;
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
     if (filters.startDate || filters.endDate) {
         matchStage.timestamp = {};
         if (filters.startDate) matchStage.timestamp.$gte = new Date(filters.startDate);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const quotaPolicySchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        required: true,
+        enum: ['plan', 'user'],
+        index: true
+    },
+    userPlan: {
+        type: String,
+        enum: ['free', 'basic', 'premium'],
+        required: function() { return this.scope === 'plan'; }
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function() { return this.scope === 'user'; }
+    },
+    window: {
+        type: String,
+        required: true,
+        enum: ['daily', 'monthly']
+    },
+    maxTokens: {
+        type: Number,
+        min: 0,
+        default: null // unlimited
+    },
+    maxCost: {
+        type: Number,
+        min: 0,
+        default: null // unlimited
+    },
+    warnThreshold: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 80 // percentage of the budget
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// One policy per plan or user and window
+quotaPolicySchema.index({ scope: 1, userPlan: 1, userId: 1, window: 1 }, { unique: true });
+
+// Static method to get the active policies applying to a user, user policies overriding plan policies
+quotaPolicySchema.statics.getEffectivePolicies = async function(userId, userPlan) {
+    const policies = await this.find({
+        active: true,
+        $or: [
+            { scope: 'user', userId },
+            { scope: 'plan', userPlan }
+        ]
+    }).lean();
+
+    const byWindow = {};
+    for (const policy of policies) {
+        if (!byWindow[policy.window] || policy.scope === 'user') {
+            byWindow[policy.window] = policy;
+        }
+    }
+    return Object.values(byWindow);
+};
+
+module.exports = mongoose.model('QuotaPolicy', quotaPolicySchema);
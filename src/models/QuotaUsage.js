@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Persisted per-user usage counters for each quota window period
+const quotaUsageSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    window: {
+        type: String,
+        required: true,
+        enum: ['daily', 'monthly']
+    },
+    periodStart: {
+        type: Date,
+        required: true
+    },
+    tokens: {
+        type: Number,
+        default: 0
+    },
+    cost: {
+        type: Number,
+        default: 0
+    },
+    requests: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+quotaUsageSchema.index({ userId: 1, window: 1, periodStart: 1 }, { unique: true });
+
+// TTL index: monthly counters are only needed for the current period
+quotaUsageSchema.index({ periodStart: 1 }, { expireAfterSeconds: 62 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('QuotaUsage', quotaUsageSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const UserEngagement = require('./UserEngagement');
+const { geoGroupKey, geoMatch } = require('../utils/geoip');
 
 const salesAnalyticsSchema = new mongoose.Schema({
     userId: {
@@ -62,7 +64,33 @@ const salesAnalyticsSchema = new mongoose.Schema({
         utmCampaign: String,
         referrer: String,
         userAgent: String,
-        ipAddress: String
+        browser: String,
+        browserVersion: String,
+        os: String,
+        osVersion: String,
+        deviceType: {
+            type: String,
+            enum: ['desktop', 'mobile', 'tablet']
+        },
+        ipAddress: String,
+        geo: {
+            country: String, // ISO country code
+            region: String,
+            city: String
+        }
+    },
+    // Bot classification at ingestion (see utils/botDetection). Analytics exclude
+    // bot traffic unless asked to include it.
+    isBot: {
+        type: Boolean,
+        default: false
+    },
+    botReasons: {
+        type: [{
+            type: String,
+            enum: ['user_agent', 'ip_range', 'event_rate', 'no_scroll']
+        }],
+        default: undefined
     },
     subscription: {
         startDate: Date,
@@ -104,6 +132,7 @@ salesAnalyticsSchema.index({ type: 1, createdAt: -1 });
 salesAnalyticsSchema.index({ plan: 1, createdAt: -1 });
 salesAnalyticsSchema.index({ paymentMethod: 1, createdAt: -1 });
 salesAnalyticsSchema.index({ currency: 1, createdAt: -1 });
+salesAnalyticsSchema.index({ 'metadata.geo.country': 1, createdAt: -1 });
 
 // TTL index to automatically delete old records (keep for longer than other metrics)
 salesAnalyticsSchema.index({ createdAt: 1 }, { 
@@ -126,6 +155,7 @@ salesAnalyticsSchema.statics.getSalesStats = async function(filters = {}) {
     if (filters.plan) matchStage.plan = filters.plan;
     if (filters.paymentMethod) matchStage.paymentMethod = filters.paymentMethod;
     if (filters.currency) matchStage.currency = filters.currency;
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
     
     if (filters.startDate || filters.endDate) {
         matchStage.createdAt = {};
@@ -169,6 +199,7 @@ salesAnalyticsSchema.statics.getSalesStats = async function(filters = {}) {
 // Static method to get revenue by plan
 salesAnalyticsSchema.statics.getRevenueByPlan = async function(filters = {}) {
     const matchStage = { status: 'completed' };
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
     
     if (filters.startDate || filters.endDate) {
         matchStage.createdAt = {};
@@ -190,19 +221,62 @@ salesAnalyticsSchema.statics.getRevenueByPlan = async function(filters = {}) {
     ]);
 };
 
+// Static method to get completed revenue by country, region or city
+salesAnalyticsSchema.statics.getRevenueByGeo = async function(level = 'country', filters = {}, limit = 50) {
+    const matchStage = { status: 'completed', ...geoMatch(filters) };
+
+    if (filters.plan) matchStage.plan = filters.plan;
+    if (filters.currency) matchStage.currency = filters.currency;
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
+
+    if (filters.startDate || filters.endDate) {
+        matchStage.createdAt = {};
+        if (filters.startDate) matchStage.createdAt.$gte = new Date(filters.startDate);
+        if (filters.endDate) matchStage.createdAt.$lte = new Date(filters.endDate);
+    }
+
+    const rows = await this.aggregate([
+        { $match: matchStage },
+        {
+            $group: {
+                _id: geoGroupKey(level),
+                totalRevenue: { $sum: '$amount' },
+                transactionCount: { $sum: 1 },
+                avgTransactionValue: { $avg: '$amount' },
+                customers: { $addToSet: '$userId' }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                location: '$_id',
+                totalRevenue: 1,
+                transactionCount: 1,
+                avgTransactionValue: 1,
+                uniqueCustomers: { $size: '$customers' }
+            }
+        },
+        { $sort: { totalRevenue: -1 } },
+        { $limit: limit }
+    ]);
+
+    return rows.map(({ location, ...row }) => ({ ...location, ...row }));
+};
+
 // Static method to get monthly recurring revenue (MRR)
-salesAnalyticsSchema.statics.getMRR = async function(date = new Date()) {
+salesAnalyticsSchema.statics.getMRR = async function(date = new Date(), filters = {}) {
     const startOfMonth = new Date(date.getFullYear(), date.getMonth(), 1);
     const endOfMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0);
 
+    const matchStage = {
+        status: 'completed',
+        type: 'subscription',
+        createdAt: { $gte: startOfMonth, $lte: endOfMonth }
+    };
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
+
     const mrr = await this.aggregate([
-        {
-            $match: {
-                status: 'completed',
-                type: 'subscription',
-                createdAt: { $gte: startOfMonth, $lte: endOfMonth }
-            }
-        },
+        { $match: matchStage },
         {
             $group: {
                 _id: null,
@@ -216,14 +290,15 @@ salesAnalyticsSchema.statics.getMRR = async function(date = new Date()) {
 };
 
 // Static method to get customer lifetime value (CLV)
-salesAnalyticsSchema.statics.getCustomerLifetimeValue = async function(userId) {
+salesAnalyticsSchema.statics.getCustomerLifetimeValue = async function(userId, filters = {}) {
+    const matchStage = {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        status: 'completed'
+    };
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
+
     const clv = await this.aggregate([
-        {
-            $match: {
-                userId: mongoose.Types.ObjectId(userId),
-                status: 'completed'
-            }
-        },
+        { $match: matchStage },
         {
             $group: {
                 _id: '$userId',
@@ -245,4 +320,181 @@ salesAnalyticsSchema.statics.getCustomerLifetimeValue = async function(userId) {
     };
 };
 
+// Static method for marketing attribution. Each completed sale in the date range is
+// credited to the UTM touchpoints of the buyer's engagement events in the lookback window
+// before the sale (including anonymous events stitched onto the buyer), plus the sale's
+// own UTM fields. Sales without touchpoints are credited to (direct). Models:
+// first_touch, last_touch, linear, or time_decay (weight halves every halfLifeDays).
+// Conversion rate is credited conversions divided by distinct visitors with a touchpoint
+// for the same channel. Bot sales and touchpoints are ignored unless includeBots is set.
+salesAnalyticsSchema.statics.getAttribution = async function(options = {}) {
+    const {
+        model = 'last_touch',
+        groupBy = ['source', 'medium', 'campaign'],
+        lookbackDays = 30,
+        halfLifeDays = 7,
+        startDate,
+        endDate = new Date(),
+        currency,
+        includeBots = false
+    } = options;
+
+    const day = 24 * 60 * 60 * 1000;
+    const lookbackMs = lookbackDays * day;
+    const rangeStart = new Date(startDate || new Date(endDate) - 30 * day);
+    const rangeEnd = new Date(endDate);
+
+    const matchStage = {
+        status: 'completed',
+        type: { $in: ['subscription', 'one_time'] },
+        createdAt: { $gte: rangeStart, $lte: rangeEnd }
+    };
+    if (currency) matchStage.currency = currency;
+
+    const botMatch = includeBots ? {} : { isBot: { $ne: true } };
+    Object.assign(matchStage, botMatch);
+
+    const channel = prefix => ({
+        source: { $ifNull: [`${prefix}.utmSource`, '(none)'] },
+        medium: { $ifNull: [`${prefix}.utmMedium`, '(none)'] },
+        campaign: { $ifNull: [`${prefix}.utmCampaign`, '(none)'] }
+    });
+    const groupKey = prefix => Object.fromEntries(groupBy.map(field => [field, `${prefix}.${field}`]));
+
+    const lastIndex = { $subtract: [{ $size: '$touchpoints' }, 1] };
+    const rawWeight = {
+        first_touch: { $cond: [{ $eq: ['$$index', 0] }, 1, 0] },
+        last_touch: { $cond: [{ $eq: ['$$index', lastIndex] }, 1, 0] },
+        linear: 1,
+        // Ages are measured from the latest touchpoint, which gets weight 1, so weights
+        // cannot all underflow to 0 with a short half-life and a long lookback
+        time_decay: {
+            $pow: [0.5, {
+                $divide: [
+                    {
+                        $subtract: [
+                            { $max: '$touchpoints.timestamp' },
+                            { $arrayElemAt: ['$touchpoints.timestamp', '$$index'] }
+                        ]
+                    },
+                    halfLifeDays * day
+                ]
+            }]
+        }
+    }[model];
+
+    const credits = await this.aggregate([
+        { $match: matchStage },
+        {
+            $lookup: {
+                from: UserEngagement.collection.name,
+                let: { userId: '$userId', soldAt: '$createdAt' },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: {
+                                $and: [
+                                    { $eq: ['$userId', '$$userId'] },
+                                    { $lte: ['$timestamp', '$$soldAt'] },
+                                    { $gte: ['$timestamp', { $subtract: ['$$soldAt', lookbackMs] }] }
+                                ]
+                            },
+                            'metadata.utmSource': { $nin: [null, ''] },
+                            ...botMatch
+                        }
+                    },
+                    { $sort: { timestamp: 1 } },
+                    { $project: { _id: 0, ...channel('$metadata'), timestamp: 1 } }
+                ],
+                as: 'touchpoints'
+            }
+        },
+        {
+            $project: {
+                amount: 1,
+                soldAt: '$createdAt',
+                touchpoints: {
+                    $concatArrays: [
+                        '$touchpoints',
+                        {
+                            $cond: [
+                                { $ne: [{ $ifNull: ['$metadata.utmSource', ''] }, ''] },
+                                [{ ...channel('$metadata'), timestamp: '$createdAt' }],
+                                []
+                            ]
+                        }
+                    ]
+                }
+            }
+        },
+        {
+            $set: {
+                touchpoints: {
+                    $cond: [
+                        { $eq: [{ $size: '$touchpoints' }, 0] },
+                        [{ source: '(direct)', medium: '(none)', campaign: '(none)', timestamp: '$soldAt' }],
+                        '$touchpoints'
+                    ]
+                }
+            }
+        },
+        {
+            $set: {
+                touchpoints: {
+                    $map: {
+                        input: { $range: [0, { $size: '$touchpoints' }] },
+                        as: 'index',
+                        in: {
+                            $mergeObjects: [
+                                { $arrayElemAt: ['$touchpoints', '$$index'] },
+                                { weight: rawWeight }
+                            ]
+                        }
+                    }
+                }
+            }
+        },
+        { $set: { totalWeight: { $sum: '$touchpoints.weight' } } },
+        { $unwind: '$touchpoints' },
+        {
+            $group: {
+                _id: groupKey('$touchpoints'),
+                revenue: {
+                    $sum: { $multiply: ['$amount', { $divide: ['$touchpoints.weight', '$totalWeight'] }] }
+                },
+                conversions: { $sum: { $divide: ['$touchpoints.weight', '$totalWeight'] } },
+                touchpoints: { $sum: 1 }
+            }
+        },
+        { $sort: { revenue: -1 } }
+    ]).allowDiskUse(true);
+
+    const visitors = await UserEngagement.aggregate([
+        {
+            $match: {
+                timestamp: { $gte: new Date(rangeStart - lookbackMs), $lte: rangeEnd },
+                'metadata.utmSource': { $nin: [null, ''] },
+                ...botMatch
+            }
+        },
+        { $project: { ...channel('$metadata'), visitor: { $ifNull: ['$userId', '$anonymousId'] } } },
+        { $group: { _id: groupKey('$$ROOT'), visitors: { $addToSet: '$visitor' } } },
+        { $project: { visitors: { $size: '$visitors' } } }
+    ]).allowDiskUse(true);
+
+    const visitorsByChannel = new Map(visitors.map(entry => [JSON.stringify(entry._id), entry.visitors]));
+
+    return credits.map(({ _id, revenue, conversions, touchpoints }) => {
+        const channelVisitors = visitorsByChannel.get(JSON.stringify(_id)) || 0;
+        return {
+            ..._id,
+            revenue,
+            conversions,
+            touchpoints,
+            visitors: channelVisitors,
+            conversionRate: channelVisitors ? conversions / channelVisitors : null
+        };
+    });
+};
+
 module.exports = mongoose.model('SalesAnalytics', salesAnalyticsSchema); 
\ No newline at end of file
@@ -1,12 +1,22 @@
 const mongoose = require('mongoose');
+const { geoGroupKey, geoMatch } = require('../utils/geoip');
+const { isRegisteredEventName } = require('../utils/eventRegistry');
 
 const userEngagementSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true,
+        required: function() {
+            return !this.anonymousId;
+        },
         index: true
     },
+    // Client-generated visitor id for events sent before login. Set together with
+    // userId on the login/registration event that links the two (see utils/identity).
+    anonymousId: {
+        type: String,
+        trim: true
+    },
     sessionId: {
         type: String,
         required: true,
@@ -15,30 +25,10 @@ const userEngagementSchema = new mongoose.Schema({
     event: {
         type: String,
         required: true,
-        enum: [
-            'page_view',
-            'feature_usage',
-            'ai_request',
-            'subscription_upgrade',
-            'subscription_downgrade',
-            'payment_success',
-            'payment_failed',
-            'login',
-            'logout',
-            'registration',
-            'profile_update',
-            'artwork_upload',
-            'artwork_analysis',
-            'portfolio_view',
-            'market_analysis',
-            'style_recommendation',
-            'search',
-            'filter',
-            'export',
-            'share',
-            'feedback',
-            'support_request'
-        ],
+        validate: {
+            validator: value => isRegisteredEventName('event', value),
+            message: props => `${props.value} is not a registered event`
+        },
         index: true
     },
     page: {
@@ -48,20 +38,19 @@ const userEngagementSchema = new mongoose.Schema({
     feature: {
         type: String,
         required: false,
-        enum: [
-            'artwork-analysis',
-            'style-recommendation',
-            'market-analysis',
-            'portfolio-review',
-            'ai-chat',
-            'export',
-            'share',
-            'premium-features'
-        ]
+        validate: {
+            validator: value => isRegisteredEventName('feature', value),
+            message: props => `${props.value} is not a registered feature`
+        }
     },
     metadata: {
         userAgent: String,
         ipAddress: String,
+        geo: {
+            country: String, // ISO country code
+            region: String,
+            city: String
+        },
         referrer: String,
         utmSource: String,
         utmMedium: String,
@@ -72,7 +61,9 @@ const userEngagementSchema = new mongoose.Schema({
             default: 'desktop'
         },
         browser: String,
+        browserVersion: String,
         os: String,
+        osVersion: String,
         screenResolution: String,
         timeOnPage: Number, // in seconds
         scrollDepth: Number, // percentage
@@ -93,6 +84,24 @@ const userEngagementSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.Mixed,
         default: {}
     },
+    // Bot classification at ingestion (see utils/botDetection). Analytics exclude
+    // bot traffic unless asked to include it.
+    isBot: {
+        type: Boolean,
+        default: false
+    },
+    botReasons: {
+        type: [{
+            type: String,
+            enum: ['user_agent', 'ip_range', 'event_rate', 'no_scroll']
+        }],
+        default: undefined
+    },
+    // Set when properties failed a lenient event schema (see utils/eventRegistry)
+    schemaErrors: {
+        type: [String],
+        default: undefined
+    },
     timestamp: {
         type: Date,
         default: Date.now,
@@ -108,6 +117,8 @@ userEngagementSchema.index({ event: 1, timestamp: -1 });
 userEngagementSchema.index({ feature: 1, timestamp: -1 });
 userEngagementSchema.index({ userPlan: 1, timestamp: -1 });
 userEngagementSchema.index({ sessionId: 1, timestamp: -1 });
+userEngagementSchema.index({ anonymousId: 1, timestamp: -1 }, { sparse: true });
+userEngagementSchema.index({ 'metadata.geo.country': 1, timestamp: -1 });
 
 // TTL index to automatically delete old records
 userEngagementSchema.index({ timestamp: 1 }, { 
@@ -122,6 +133,7 @@ userEngagementSchema.statics.getEngagementStats = async function(filters = {}) {
     if (filters.event) matchStage.event = filters.event;
     if (filters.feature) matchStage.feature = filters.feature;
     if (filters.userPlan) matchStage.userPlan = filters.userPlan;
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
     
     if (filters.startDate || filters.endDate) {
         matchStage.timestamp = {};
@@ -145,7 +157,8 @@ userEngagementSchema.statics.getEngagementStats = async function(filters = {}) {
         {
             $project: {
                 totalEvents: 1,
-                uniqueUsers: { $size: '$uniqueUsers' },
+                // Anonymous events have no userId and are not counted as users
+                uniqueUsers: { $size: { $setDifference: ['$uniqueUsers', [null]] } },
                 uniqueSessions: { $size: '$uniqueSessions' },
                 totalValue: 1,
                 avgTimeOnPage: 1,
@@ -170,6 +183,7 @@ userEngagementSchema.statics.getEventDistribution = async function(filters = {})
     
     if (filters.userId) matchStage.userId = filters.userId;
     if (filters.userPlan) matchStage.userPlan = filters.userPlan;
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
     
     if (filters.startDate || filters.endDate) {
         matchStage.timestamp = {};
@@ -190,19 +204,547 @@ userEngagementSchema.statics.getEventDistribution = async function(filters = {})
             $project: {
                 event: '$_id',
                 count: 1,
-                uniqueUsers: { $size: '$uniqueUsers' }
+                uniqueUsers: { $size: { $setDifference: ['$uniqueUsers', [null]] } }
             }
         },
         { $sort: { count: -1 } }
     ]);
 };
 
-// Static method to get user journey
+// Static method to get event count and last-seen time per event name (type 'event')
+// or feature (type 'feature') since a date
+userEngagementSchema.statics.getEventVolume = async function(type, since) {
+    const field = type === 'feature' ? '$feature' : '$event';
+
+    return await this.aggregate([
+        { $match: { timestamp: { $gte: since } } },
+        {
+            $group: {
+                _id: field,
+                count: { $sum: 1 },
+                lastSeen: { $max: '$timestamp' }
+            }
+        },
+        { $match: { _id: { $ne: null } } }
+    ]);
+};
+
+// Static method to compute a conversion funnel. Each user enters the funnel at their
+// first occurrence of the first step and must then complete the remaining steps in
+// order within windowMs of entering; other events in between are ignored. Anonymous
+// history stitched onto a user counts towards that user.
+userEngagementSchema.statics.getFunnel = async function(steps, windowMs, filters = {}) {
+    const matchStage = {
+        $or: steps.map(step => step.feature
+            ? { event: step.event, feature: step.feature }
+            : { event: step.event })
+    };
+
+    if (filters.userPlan) matchStage.userPlan = filters.userPlan;
+    if (filters.deviceType) matchStage['metadata.deviceType'] = filters.deviceType;
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
+
+    if (filters.startDate || filters.endDate) {
+        matchStage.timestamp = {};
+        if (filters.startDate) matchStage.timestamp.$gte = new Date(filters.startDate);
+        if (filters.endDate) matchStage.timestamp.$lte = new Date(filters.endDate);
+    }
+
+    const stepDefinitions = steps.map(step => ({ event: step.event, feature: step.feature || null }));
+    const currentStep = { $arrayElemAt: [{ $literal: stepDefinitions }, { $size: '$$value' }] };
+
+    const results = await this.aggregate([
+        { $match: matchStage },
+        { $sort: { userId: 1, anonymousId: 1, timestamp: 1 } },
+        {
+            // Visitors who never signed up are followed by their anonymous id
+            $group: {
+                _id: { $ifNull: ['$userId', '$anonymousId'] },
+                events: { $push: { event: '$event', feature: '$feature', timestamp: '$timestamp' } }
+            }
+        },
+        {
+            // Walk each user's events in order, collecting the timestamp of every step reached
+            $project: {
+                reached: {
+                    $reduce: {
+                        input: '$events',
+                        initialValue: [],
+                        in: {
+                            $let: {
+                                vars: { currentStep },
+                                in: {
+                                    $cond: [
+                                        {
+                                            $and: [
+                                                { $lt: [{ $size: '$$value' }, stepDefinitions.length] },
+                                                { $eq: ['$$this.event', '$$currentStep.event'] },
+                                                {
+                                                    $or: [
+                                                        { $eq: ['$$currentStep.feature', null] },
+                                                        { $eq: ['$$this.feature', '$$currentStep.feature'] }
+                                                    ]
+                                                },
+                                                {
+                                                    $or: [
+                                                        { $eq: [{ $size: '$$value' }, 0] },
+                                                        {
+                                                            $lte: [
+                                                                { $subtract: ['$$this.timestamp', { $first: '$$value' }] },
+                                                                windowMs
+                                                            ]
+                                                        }
+                                                    ]
+                                                }
+                                            ]
+                                        },
+                                        { $concatArrays: ['$$value', ['$$this.timestamp']] },
+                                        '$$value'
+                                    ]
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        { $match: { 'reached.0': { $exists: true } } },
+        {
+            $project: {
+                steps: {
+                    $map: {
+                        input: { $range: [0, { $size: '$reached' }] },
+                        as: 'index',
+                        in: {
+                            index: '$$index',
+                            sincePrevious: {
+                                $cond: [
+                                    { $eq: ['$$index', 0] },
+                                    null,
+                                    {
+                                        $subtract: [
+                                            { $arrayElemAt: ['$reached', '$$index'] },
+                                            { $arrayElemAt: ['$reached', { $subtract: ['$$index', 1] }] }
+                                        ]
+                                    }
+                                ]
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        { $unwind: '$steps' },
+        {
+            $group: {
+                _id: '$steps.index',
+                users: { $sum: 1 },
+                medianTimeFromPrevious: {
+                    $percentile: { input: '$steps.sincePrevious', p: [0.5], method: 'approximate' }
+                }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]).allowDiskUse(true);
+
+    const entered = results[0]?.users || 0;
+
+    return steps.map((step, index) => {
+        const result = results.find(r => r._id === index);
+        const users = result?.users || 0;
+        const previousUsers = index === 0 ? entered : (results.find(r => r._id === index - 1)?.users || 0);
+
+        return {
+            step: index + 1,
+            event: step.event,
+            feature: step.feature || null,
+            users,
+            conversionFromPrevious: previousUsers ? users / previousUsers : 0,
+            conversionFromStart: entered ? users / entered : 0,
+            medianTimeFromPrevious: index === 0 ? null : (result?.medianTimeFromPrevious?.[0] ?? null) // ms
+        };
+    });
+};
+
+// Static method to build a retention table. Users are grouped into cohorts by the
+// week or month of their first cohortEvent; period N counts the cohort users who had a
+// returnEvent (any event when not set) N weeks/months after their cohort period.
+// Period 0 is the cohort period itself, so its count is the cohort size.
+userEngagementSchema.statics.getRetentionCohorts = async function(options = {}) {
+    const {
+        period = 'week',
+        cohortEvent = 'registration',
+        returnEvent,
+        splitBy = [],
+        periods = 12,
+        filters = {}
+    } = options;
+
+    const truncate = date => ({ $dateTrunc: { date, unit: period, startOfWeek: 'monday' } });
+
+    const returnMatch = {
+        $expr: {
+            $and: [
+                { $eq: ['$userId', '$$userId'] },
+                { $gt: ['$timestamp', '$$firstAt'] }
+            ]
+        }
+    };
+    if (returnEvent) returnMatch.event = returnEvent;
+    if (!filters.includeBots) returnMatch.isBot = { $ne: true };
+
+    const cohortMatch = {};
+    if (filters.startDate || filters.endDate) {
+        cohortMatch.firstAt = {};
+        if (filters.startDate) cohortMatch.firstAt.$gte = new Date(filters.startDate);
+        if (filters.endDate) cohortMatch.firstAt.$lte = new Date(filters.endDate);
+    }
+    // The plan at cohort entry, whether or not cohorts are split by plan
+    if (filters.userPlan) cohortMatch.userPlan = filters.userPlan;
+
+    const results = await this.aggregate([
+        {
+            $match: {
+                event: cohortEvent,
+                userId: { $ne: null },
+                ...(!filters.includeBots && { isBot: { $ne: true } })
+            }
+        },
+        { $sort: { userId: 1, timestamp: 1 } },
+        {
+            $group: {
+                _id: '$userId',
+                firstAt: { $first: '$timestamp' },
+                userPlan: { $first: '$userPlan' },
+                utmSource: { $first: '$metadata.utmSource' }
+            }
+        },
+        {
+            $project: {
+                firstAt: 1,
+                userPlan: 1,
+                cohort: truncate('$firstAt'),
+                ...(splitBy.length && {
+                    segment: Object.fromEntries(splitBy.map(field => [field, { $ifNull: [`$${field}`, null] }]))
+                })
+            }
+        },
+        ...(Object.keys(cohortMatch).length ? [{ $match: cohortMatch }] : []),
+        {
+            $lookup: {
+                from: this.collection.name,
+                let: { userId: '$_id', firstAt: '$firstAt', cohort: '$cohort' },
+                pipeline: [
+                    { $match: returnMatch },
+                    {
+                        $group: {
+                            _id: {
+                                $dateDiff: {
+                                    startDate: '$$cohort',
+                                    endDate: truncate('$timestamp'),
+                                    unit: period,
+                                    startOfWeek: 'monday'
+                                }
+                            }
+                        }
+                    },
+                    { $match: { _id: { $lte: periods } } }
+                ],
+                as: 'returns'
+            }
+        },
+        {
+            $project: {
+                cohort: 1,
+                segment: 1,
+                periods: { $setUnion: [[0], '$returns._id'] }
+            }
+        },
+        { $unwind: '$periods' },
+        {
+            $group: {
+                _id: { cohort: '$cohort', segment: '$segment', period: '$periods' },
+                users: { $sum: 1 }
+            }
+        },
+        { $sort: { '_id.cohort': 1, '_id.period': 1 } }
+    ]).allowDiskUse(true);
+
+    // Reshape into one row per cohort and segment, with a zero entry for every
+    // elapsed period in which nobody returned
+    const rows = new Map();
+    for (const { _id, users } of results) {
+        const rowKey = JSON.stringify([_id.cohort, _id.segment]);
+        if (!rows.has(rowKey)) {
+            rows.set(rowKey, { cohort: _id.cohort, ...(_id.segment || {}), size: 0, usersByPeriod: new Map() });
+        }
+        const row = rows.get(rowKey);
+        if (_id.period === 0) row.size = users;
+        row.usersByPeriod.set(_id.period, users);
+    }
+
+    const now = new Date();
+    return Array.from(rows.values()).map(({ usersByPeriod, ...row }) => {
+        const elapsed = period === 'month'
+            ? (now.getUTCFullYear() - row.cohort.getUTCFullYear()) * 12 + now.getUTCMonth() - row.cohort.getUTCMonth()
+            : Math.floor((now - row.cohort) / (7 * 24 * 60 * 60 * 1000));
+        const lastPeriod = Math.min(periods, Math.max(elapsed, ...usersByPeriod.keys()));
+
+        const retention = [];
+        for (let index = 0; index <= lastPeriod; index++) {
+            const users = usersByPeriod.get(index) || 0;
+            retention.push({ period: index, users, rate: row.size ? users / row.size : 0 });
+        }
+
+        return { ...row, retention };
+    });
+};
+
+// Static method to count distinct active users over rolling 1, 7 and 30 day windows
+// ending at `asOf`, overall and per plan. A user who changed plan within the window is
+// counted under each plan they were active on, but only once overall. Bot traffic
+// is never counted.
+userEngagementSchema.statics.getActiveUserCounts = async function(asOf = new Date()) {
+    const day = 24 * 60 * 60 * 1000;
+    const windowCounts = {
+        dau: { $sum: { $cond: [{ $gte: ['$lastSeen', new Date(asOf - day)] }, 1, 0] } },
+        wau: { $sum: { $cond: [{ $gte: ['$lastSeen', new Date(asOf - 7 * day)] }, 1, 0] } },
+        mau: { $sum: 1 }
+    };
+
+    const [result] = await this.aggregate([
+        {
+            $match: {
+                timestamp: { $gte: new Date(asOf - 30 * day), $lte: asOf },
+                userId: { $ne: null },
+                isBot: { $ne: true }
+            }
+        },
+        {
+            $group: {
+                _id: { userId: '$userId', userPlan: '$userPlan' },
+                lastSeen: { $max: '$timestamp' }
+            }
+        },
+        {
+            $facet: {
+                all: [
+                    { $group: { _id: '$_id.userId', lastSeen: { $max: '$lastSeen' } } },
+                    { $group: { _id: 'all', ...windowCounts } }
+                ],
+                byPlan: [
+                    { $group: { _id: '$_id.userPlan', ...windowCounts } }
+                ]
+            }
+        }
+    ]).allowDiskUse(true);
+
+    return [...result.all, ...result.byPlan].map(({ _id, dau, wau, mau }) => ({
+        userPlan: _id,
+        dau,
+        wau,
+        mau,
+        stickiness: mau ? dau / mau : 0
+    }));
+};
+
+// Most frequent Sankey links returned by getPathAnalysis
+const PATH_LINKS_LIMIT = 500;
+
+// Static method for path analysis over sessions. Each session becomes a sequence of
+// pages (by 'page', page views only) or event names (by 'event'), with consecutive
+// repeats collapsed. Paths run from the first occurrence of `start` (or the session
+// entry when not set) up to `steps` nodes forward, or backward with direction 'before'.
+// Returns the immediate next/previous nodes, the top paths and Sankey nodes/links.
+// Sankey node ids are prefixed with the step offset from the start so loops stay acyclic.
+userEngagementSchema.statics.getPathAnalysis = async function(options = {}) {
+    const {
+        by = 'page',
+        start,
+        direction = 'after',
+        steps = 3,
+        limit = 10,
+        filters = {}
+    } = options;
+
+    const matchStage = {};
+    if (by === 'page') {
+        matchStage.event = 'page_view';
+        matchStage.page = { $nin: [null, ''] };
+    }
+    if (filters.userPlan) matchStage.userPlan = filters.userPlan;
+    if (filters.deviceType) matchStage['metadata.deviceType'] = filters.deviceType;
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
+
+    // Bounded to the last 30 days (before endDate) unless startDate is set
+    const rangeEnd = filters.endDate ? new Date(filters.endDate) : new Date();
+    matchStage.timestamp = {
+        $gte: filters.startDate ? new Date(filters.startDate) : new Date(rangeEnd - 30 * 24 * 60 * 60 * 1000),
+        $lte: rangeEnd
+    };
+
+    const startIndex = start ? { $indexOfArray: ['$sequence', start] } : 0;
+    const pathStart = direction === 'before'
+        ? { $max: [0, { $subtract: ['$startIndex', steps] }] }
+        : '$startIndex';
+    const pathLength = direction === 'before'
+        ? { $subtract: [{ $add: ['$startIndex', 1] }, pathStart] }
+        : steps + 1;
+
+    const [result] = await this.aggregate([
+        { $match: matchStage },
+        { $sort: { sessionId: 1, timestamp: 1 } },
+        {
+            $group: {
+                _id: '$sessionId',
+                nodes: { $push: by === 'page' ? '$page' : '$event' }
+            }
+        },
+        {
+            $project: {
+                sequence: {
+                    $reduce: {
+                        input: '$nodes',
+                        initialValue: [],
+                        in: {
+                            $cond: [
+                                { $eq: [{ $last: '$$value' }, '$$this'] },
+                                '$$value',
+                                { $concatArrays: ['$$value', ['$$this']] }
+                            ]
+                        }
+                    }
+                }
+            }
+        },
+        { $project: { sequence: 1, startIndex } },
+        { $match: { startIndex: { $gte: 0 } } },
+        {
+            $project: {
+                path: { $slice: ['$sequence', pathStart, pathLength] },
+                next: { $arrayElemAt: ['$sequence', { $add: ['$startIndex', 1] }] },
+                previous: {
+                    $cond: [
+                        { $gt: ['$startIndex', 0] },
+                        { $arrayElemAt: ['$sequence', { $subtract: ['$startIndex', 1] }] },
+                        null
+                    ]
+                }
+            }
+        },
+        {
+            $facet: {
+                sessions: [{ $count: 'count' }],
+                next: [
+                    { $group: { _id: { $ifNull: ['$next', '(exit)'] }, count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                    { $limit: limit }
+                ],
+                previous: [
+                    { $group: { _id: { $ifNull: ['$previous', '(entry)'] }, count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                    { $limit: limit }
+                ],
+                topPaths: [
+                    { $group: { _id: '$path', count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                    { $limit: limit }
+                ],
+                links: [
+                    {
+                        $project: {
+                            offset: direction === 'before' ? { $subtract: [1, { $size: '$path' }] } : { $literal: 0 },
+                            pairs: { $zip: { inputs: ['$path', { $slice: ['$path', 1, steps + 1] }] } }
+                        }
+                    },
+                    { $unwind: { path: '$pairs', includeArrayIndex: 'index' } },
+                    {
+                        $group: {
+                            _id: {
+                                step: { $add: ['$offset', '$index'] },
+                                source: { $arrayElemAt: ['$pairs', 0] },
+                                target: { $arrayElemAt: ['$pairs', 1] }
+                            },
+                            value: { $sum: 1 }
+                        }
+                    },
+                    // Keeps the facet result well under the document size limit
+                    { $sort: { value: -1 } },
+                    { $limit: PATH_LINKS_LIMIT }
+                ]
+            }
+        }
+    ]).allowDiskUse(true);
+
+    const nodes = new Map();
+    const links = result.links.map(({ _id, value }) => {
+        const source = `${_id.step}:${_id.source}`;
+        const target = `${_id.step + 1}:${_id.target}`;
+        nodes.set(source, { id: source, name: _id.source, step: _id.step });
+        nodes.set(target, { id: target, name: _id.target, step: _id.step + 1 });
+        return { source, target, value };
+    }).sort((a, b) => b.value - a.value);
+
+    return {
+        sessions: result.sessions[0]?.count || 0,
+        next: result.next.map(({ _id, count }) => ({ node: _id, count })),
+        previous: result.previous.map(({ _id, count }) => ({ node: _id, count })),
+        topPaths: result.topPaths.map(({ _id, count }) => ({ path: _id, count })),
+        sankey: {
+            nodes: Array.from(nodes.values()).sort((a, b) => a.step - b.step),
+            links
+        }
+    };
+};
+
+// Static method for a geographic breakdown of users and events at country, region or city level
+userEngagementSchema.statics.getGeoBreakdown = async function(level = 'country', filters = {}, limit = 50) {
+    const matchStage = geoMatch(filters);
+
+    if (filters.event) matchStage.event = filters.event;
+    if (filters.feature) matchStage.feature = filters.feature;
+    if (filters.userPlan) matchStage.userPlan = filters.userPlan;
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
+
+    if (filters.startDate || filters.endDate) {
+        matchStage.timestamp = {};
+        if (filters.startDate) matchStage.timestamp.$gte = new Date(filters.startDate);
+        if (filters.endDate) matchStage.timestamp.$lte = new Date(filters.endDate);
+    }
+
+    const rows = await this.aggregate([
+        { $match: matchStage },
+        {
+            $group: {
+                _id: geoGroupKey(level),
+                events: { $sum: 1 },
+                users: { $addToSet: '$userId' },
+                visitors: { $addToSet: { $ifNull: ['$userId', '$anonymousId'] } }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                location: '$_id',
+                events: 1,
+                // Anonymous events carry no userId; visitors count them by anonymousId
+                uniqueUsers: { $size: { $setDifference: ['$users', [null]] } },
+                uniqueVisitors: { $size: { $setDifference: ['$visitors', [null]] } }
+            }
+        },
+        { $sort: { uniqueVisitors: -1, events: -1 } },
+        { $limit: limit }
+    ]).allowDiskUse(true);
+
+    return rows.map(({ location, ...row }) => ({ ...location, ...row }));
+};
+
+// Static method to get user journey, including anonymous events stitched onto the user
 userEngagementSchema.statics.getUserJourney = async function(userId, limit = 50) {
     return await this.find({ userId })
         .sort({ timestamp: -1 })
         .limit(limit)
-        .select('event feature page timestamp metadata')
+        .select('event feature page anonymousId timestamp metadata')
         .lean();
 };
 
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Sessions derived from UserEngagement events by the sessionizer job
+const userSessionSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function() {
+            return !this.anonymousId;
+        }
+    },
+    anonymousId: String,
+    userPlan: {
+        type: String,
+        enum: ['free', 'basic', 'premium'],
+        default: 'free'
+    },
+    deviceType: {
+        type: String,
+        enum: ['desktop', 'mobile', 'tablet'],
+        default: 'desktop'
+    },
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    endedAt: {
+        type: Date,
+        required: true
+    },
+    duration: {
+        type: Number, // in seconds
+        default: 0
+    },
+    eventCount: {
+        type: Number,
+        default: 0
+    },
+    pageCount: {
+        type: Number,
+        default: 0
+    },
+    entryPage: String,
+    exitPage: String,
+    bounce: {
+        type: Boolean,
+        default: false
+    },
+    // Set when any of the session's events was classified as bot traffic
+    isBot: {
+        type: Boolean,
+        default: false
+    },
+    // Latest updatedAt of the session's events when it was written; newer events
+    // make the sessionizer recompute it
+    lastEventUpdatedAt: Date
+}, {
+    timestamps: true
+});
+
+userSessionSchema.index({ userId: 1, startedAt: -1 });
+userSessionSchema.index({ userPlan: 1, deviceType: 1, startedAt: -1 });
+
+// TTL index to automatically delete old records
+userSessionSchema.index({ startedAt: 1 }, {
+    expireAfterSeconds: parseInt(process.env.METRICS_RETENTION_DAYS || 90) * 24 * 60 * 60
+});
+
+// Static method to get session statistics grouped by plan and device
+userSessionSchema.statics.getSessionStats = async function(filters = {}) {
+    const matchStage = {};
+
+    if (filters.userId) matchStage.userId = new mongoose.Types.ObjectId(filters.userId);
+    if (filters.userPlan) matchStage.userPlan = filters.userPlan;
+    if (filters.deviceType) matchStage.deviceType = filters.deviceType;
+    if (!filters.includeBots) matchStage.isBot = { $ne: true };
+
+    if (filters.startDate || filters.endDate) {
+        matchStage.startedAt = {};
+        if (filters.startDate) matchStage.startedAt.$gte = new Date(filters.startDate);
+        if (filters.endDate) matchStage.startedAt.$lte = new Date(filters.endDate);
+    }
+
+    return await this.aggregate([
+        { $match: matchStage },
+        {
+            $group: {
+                _id: { userPlan: '$userPlan', deviceType: '$deviceType' },
+                sessions: { $sum: 1 },
+                uniqueUsers: { $addToSet: '$userId' },
+                avgDuration: { $avg: '$duration' },
+                medianDuration: {
+                    $percentile: { input: '$duration', p: [0.5], method: 'approximate' }
+                },
+                avgPageCount: { $avg: '$pageCount' },
+                avgEventCount: { $avg: '$eventCount' },
+                bounces: { $sum: { $cond: ['$bounce', 1, 0] } }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                userPlan: '$_id.userPlan',
+                deviceType: '$_id.deviceType',
+                sessions: 1,
+                uniqueUsers: { $size: { $setDifference: ['$uniqueUsers', [null]] } },
+                avgDuration: 1,
+                medianDuration: { $arrayElemAt: ['$medianDuration', 0] },
+                avgPageCount: 1,
+                avgEventCount: 1,
+                bounceRate: { $divide: ['$bounces', '$sessions'] }
+            }
+        },
+        { $sort: { sessions: -1 } }
+    ]);
+};
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
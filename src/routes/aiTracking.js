@@ -1,22 +1,68 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
 const AIRequest = require('../models/AIRequest');
-const { updateAIMetrics } = require('../utils/prometheus');
+const ModelPricing = require('../models/ModelPricing');
+const AIRegistry = require('../models/AIRegistry');
+const QuotaPolicy = require('../models/QuotaPolicy');
+const Experiment = require('../models/Experiment');
+const { updateAIMetrics, updateQuotaMetrics } = require('../utils/prometheus');
+const { computeRequestCost, invalidatePricingCache } = require('../utils/pricing');
+const { isActiveRegistryName, toCanonicalName, invalidateRegistryCache } = require('../utils/aiRegistry');
+const { recordUsage, getUsage, checkQuota } = require('../utils/quota');
+const { redact, maskText } = require('../utils/redaction');
+const { detectors: redactionDetectors } = require('../config/redaction');
+const { fingerprintPrompt } = require('../utils/promptFingerprint');
+const { recordAccess } = require('../utils/accessLog');
+const AccessLog = require('../models/AccessLog');
+const recomputeCosts = require('../jobs/recomputeCosts');
 const logger = require('../utils/logger');
 const { adminOnly } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Track a new AI request
-router.post('/track', [
+// Validation rules shared by the single-record and batch endpoints
+const trackValidators = [
     body('requestId').isString().notEmpty().withMessage('Request ID is required'),
-    body('model').isIn(['gpt-4', 'gpt-3.5-turbo', 'claude-3', 'gemini-pro', 'custom']).withMessage('Invalid model'),
+    body('model').custom(isActiveRegistryName('model')).withMessage('Invalid model').customSanitizer(toCanonicalName('model')),
     body('prompt').isString().notEmpty().withMessage('Prompt is required'),
-    body('feature').optional().isIn(['artwork-analysis', 'style-recommendation', 'market-analysis', 'portfolio-review', 'other']),
+    body('feature').optional().custom(isActiveRegistryName('feature')).withMessage('Invalid feature').customSanitizer(toCanonicalName('feature')),
     body('complexity').optional().isIn(['simple', 'medium', 'complex']),
     body('language').optional().isString(),
-    body('userPlan').optional().isIn(['free', 'basic', 'premium'])
-], async (req, res) => {
+    body('userPlan').optional().isIn(['free', 'basic', 'premium']),
+    body('parentRequestId').optional().isString().notEmpty().withMessage('Parent request ID must be a non-empty string'),
+    body('attempt').optional().isInt({ min: 1 }).withMessage('Attempt must be a positive integer'),
+    body('experiment').optional().isObject().withMessage('Experiment must be an object').bail().custom(async (experiment, { req }) => {
+        const definition = typeof experiment.key === 'string' ? await findExperiment(req, experiment.key) : null;
+        if (!definition) throw new Error('Unknown experiment');
+        if (!definition.hasVariant(experiment.variant)) throw new Error('Unknown experiment variant');
+
+        // Requests are tracked as they start, so only running experiments can be tagged
+        const now = new Date();
+        if (now < definition.startDate || (definition.endDate && now > definition.endDate)) {
+            throw new Error('Experiment is not running');
+        }
+        return true;
+    })
+];
+
+const updateValidators = [
+    body('status').isIn(['processing', 'completed', 'failed', 'cancelled']).withMessage('Invalid status'),
+    body('response').optional().isString(),
+    body('tokens').optional().isObject(),
+    body('cost').optional().isNumeric(),
+    body('error').optional().isObject()
+];
+
+const checkpointValidators = [
+    body('phase').isIn(['queued', 'started', 'first_token', 'completed']).withMessage('Invalid phase'),
+    body('timestamp').optional().isISO8601().withMessage('Invalid timestamp')
+];
+
+const MAX_BATCH_SIZE = parseInt(process.env.AI_BATCH_MAX_SIZE) || 500;
+
+// Track a new AI request
+router.post('/track', trackValidators, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -26,15 +72,7 @@ router.post('/track', [
             });
         }
 
-        const {
-            requestId,
-            model,
-            prompt,
-            feature = 'other',
-            complexity = 'medium',
-            language = 'en',
-            userPlan = 'free'
-        } = req.body;
+        const { requestId } = req.body;
 
         // Check if request already exists
         const existingRequest = await AIRequest.findOne({ requestId });
@@ -45,35 +83,26 @@ router.post('/track', [
             });
         }
 
-        const aiRequest = new AIRequest({
-            userId: req.user.id,
-            requestId,
-            model,
-            prompt,
-            metadata: {
-                userAgent: req.get('User-Agent'),
-                ipAddress: req.ip,
-                sessionId: req.headers['x-session-id'],
-                feature,
-                complexity,
-                language
-            },
-            userPlan,
-            performance: {
-                startTime: new Date()
-            }
-        });
+        const chain = await resolveAttempt(req.body, req.user.id);
+        if (!chain) {
+            return res.status(404).json({
+                error: 'Parent request not found',
+                message: 'Parent AI request not found or access denied'
+            });
+        }
+
+        const aiRequest = buildAIRequest(req, req.body, chain);
 
         await aiRequest.save();
 
         // Update Prometheus metrics
-        updateAIMetrics.incrementRequest(model, 'pending', feature, userPlan);
+        recordTrackMetrics(aiRequest);
 
         logger.info('AI request tracked', {
             requestId,
             userId: req.user.id,
-            model,
-            feature
+            model: aiRequest.model,
+            feature: aiRequest.metadata.feature
         });
 
         res.status(201).json({
@@ -90,13 +119,7 @@ router.post('/track', [
 });
 
 // Update AI request status and response
-router.put('/update/:requestId', [
-    body('status').isIn(['processing', 'completed', 'failed', 'cancelled']).withMessage('Invalid status'),
-    body('response').optional().isString(),
-    body('tokens').optional().isObject(),
-    body('cost').optional().isNumeric(),
-    body('error').optional().isObject()
-], async (req, res) => {
+router.put('/update/:requestId', updateValidators, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -107,13 +130,7 @@ router.put('/update/:requestId', [
         }
 
         const { requestId } = req.params;
-        const {
-            status,
-            response,
-            tokens,
-            cost,
-            error
-        } = req.body;
+        const { status } = req.body;
 
         const aiRequest = await AIRequest.findOne({ 
             requestId,
@@ -127,35 +144,17 @@ router.put('/update/:requestId', [
             });
         }
 
-        // Update request
-        aiRequest.status = status;
-        if (response) aiRequest.response = response;
-        if (tokens) aiRequest.tokens = tokens;
-        if (cost) aiRequest.cost = cost;
-        if (error) aiRequest.error = error;
-
-        // Calculate performance metrics
-        if (status === 'completed' || status === 'failed') {
-            aiRequest.performance.endTime = new Date();
-            aiRequest.performance.duration = aiRequest.performance.endTime - aiRequest.performance.startTime;
-        }
+        const previousStatus = aiRequest.status;
+        await applyUpdate(aiRequest, req.body);
 
         await aiRequest.save();
 
-        // Update Prometheus metrics
-        updateAIMetrics.incrementRequest(aiRequest.model, status, aiRequest.metadata.feature, aiRequest.userPlan);
-        
-        if (status === 'completed') {
-            updateAIMetrics.recordDuration(aiRequest.model, aiRequest.metadata.feature, aiRequest.userPlan, aiRequest.performance.duration);
-            if (aiRequest.tokens.input) {
-                updateAIMetrics.incrementTokens(aiRequest.model, 'input', aiRequest.userPlan, aiRequest.tokens.input);
-            }
-            if (aiRequest.tokens.output) {
-                updateAIMetrics.incrementTokens(aiRequest.model, 'output', aiRequest.userPlan, aiRequest.tokens.output);
-            }
-            if (aiRequest.cost) {
-                updateAIMetrics.incrementCost(aiRequest.model, aiRequest.userPlan, aiRequest.cost);
-            }
+        // Update Prometheus metrics and quota counters. Usage is only counted when the
+        // request becomes completed, so repeated completed updates are not double counted.
+        recordUpdateMetrics(aiRequest);
+        recordPhaseMetrics(aiRequest);
+        if (status === 'completed' && previousStatus !== 'completed') {
+            await recordUsage(aiRequest);
         }
 
         logger.info('AI request updated', {
@@ -178,6 +177,403 @@ router.put('/update/:requestId', [
     }
 });
 
+// Record a lifecycle checkpoint (queued, started, first_token, completed) of an AI request
+router.post('/checkpoint/:requestId', checkpointValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { requestId } = req.params;
+        const { phase } = req.body;
+
+        const aiRequest = await AIRequest.findOne({
+            requestId,
+            userId: req.user.id
+        });
+
+        if (!aiRequest) {
+            return res.status(404).json({
+                error: 'Request not found',
+                message: 'AI request not found or access denied'
+            });
+        }
+
+        // Checkpoints are idempotent: a phase that was already reported keeps its first timestamp
+        const recorded = applyCheckpoint(aiRequest, req.body);
+        if (recorded) {
+            await aiRequest.save();
+            recordPhaseMetrics(aiRequest);
+        }
+
+        logger.info('AI request checkpoint recorded', {
+            requestId,
+            phase,
+            recorded,
+            userId: req.user.id
+        });
+
+        res.json({
+            message: recorded ? 'Checkpoint recorded successfully' : 'Checkpoint already recorded',
+            requestId: aiRequest.requestId,
+            phase,
+            recorded,
+            performance: {
+                queuedAt: aiRequest.performance.queuedAt,
+                startedAt: aiRequest.performance.startedAt,
+                firstTokenAt: aiRequest.performance.firstTokenAt,
+                completedAt: aiRequest.performance.completedAt,
+                queueTime: aiRequest.performance.queueTime,
+                timeToFirstToken: aiRequest.performance.timeToFirstToken,
+                processingTime: aiRequest.performance.processingTime
+            }
+        });
+    } catch (error) {
+        logger.error('Error recording AI request checkpoint:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to record AI request checkpoint'
+        });
+    }
+});
+
+// Attach user feedback on the quality of an AI response
+router.post('/feedback/:requestId', [
+    body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+    body('thumbs').optional().isIn(['up', 'down']).withMessage('Thumbs must be up or down'),
+    body('reason').optional().isString().isLength({ max: 2000 }).withMessage('Reason must be at most 2000 characters'),
+    body('regenerated').optional().isBoolean(),
+    body().custom(value => {
+        if (value.rating === undefined && value.thumbs === undefined && value.regenerated === undefined) {
+            throw new Error('A rating, thumbs or regenerated flag is required');
+        }
+        return true;
+    })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { requestId } = req.params;
+        const { rating, thumbs, reason, regenerated } = req.body;
+
+        const aiRequest = await AIRequest.findOne({
+            requestId,
+            userId: req.user.id
+        });
+
+        if (!aiRequest) {
+            return res.status(404).json({
+                error: 'Request not found',
+                message: 'AI request not found or access denied'
+            });
+        }
+
+        // Later feedback on the same request replaces the fields it provides
+        if (rating !== undefined) aiRequest.feedback.rating = rating;
+        if (thumbs !== undefined) aiRequest.feedback.thumbs = thumbs;
+        if (reason !== undefined) aiRequest.feedback.reason = maskText(reason, redactionDetectors).text;
+        if (regenerated !== undefined) aiRequest.feedback.regenerated = regenerated === true || regenerated === 'true';
+        aiRequest.feedback.submittedAt = new Date();
+
+        await aiRequest.save();
+
+        updateAIMetrics.incrementFeedback(aiRequest.model, aiRequest.metadata.feature, aiRequest.feedback.thumbs || 'none');
+
+        logger.info('AI request feedback recorded', {
+            requestId,
+            rating,
+            thumbs,
+            regenerated,
+            userId: req.user.id
+        });
+
+        res.json({
+            message: 'Feedback recorded successfully',
+            requestId: aiRequest.requestId,
+            feedback: aiRequest.feedback
+        });
+    } catch (error) {
+        logger.error('Error recording AI request feedback:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to record AI request feedback'
+        });
+    }
+});
+
+// Get every attempt (retries and fallbacks) of the logical request an attempt belongs to
+router.get('/chain/:requestId', async (req, res) => {
+    try {
+        const isAdmin = req.user.role === 'admin';
+        const attempts = await AIRequest.getAttemptChain(req.params.requestId, isAdmin ? undefined : req.user.id);
+
+        if (!attempts) {
+            return res.status(404).json({
+                error: 'Request not found',
+                message: 'AI request not found or access denied'
+            });
+        }
+
+        const finalAttempt = attempts[attempts.length - 1];
+
+        res.json({
+            logicalRequestId: attempts[0].parentRequestId || attempts[0].requestId,
+            attempts,
+            summary: {
+                attemptCount: attempts.length,
+                models: attempts.map(attempt => attempt.model),
+                finalStatus: finalAttempt.status,
+                totalTokens: attempts.reduce((sum, attempt) => sum + (attempt.tokens?.total || 0), 0),
+                totalCost: attempts.reduce((sum, attempt) => sum + (attempt.cost || 0), 0),
+                totalDuration: attempts.reduce((sum, attempt) => sum + (attempt.performance?.duration || 0), 0)
+            }
+        });
+    } catch (error) {
+        logger.error('Error getting AI request chain:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get AI request chain'
+        });
+    }
+});
+
+// Track and update AI requests in bulk
+// Each record is `{ op: 'create' | 'update' | 'checkpoint', ...fields }` and is validated with
+// the same rules as POST /track, PUT /update/:requestId and POST /checkpoint/:requestId. Invalid or failing records
+// are reported individually and do not prevent the rest of the batch from being written.
+router.post('/batch', [
+    body('records').isArray({ min: 1, max: MAX_BATCH_SIZE }).withMessage(`Records must be an array of 1 to ${MAX_BATCH_SIZE} items`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { records } = req.body;
+        const results = records.map((record, index) => ({
+            index,
+            op: record?.op,
+            requestId: record?.requestId
+        }));
+
+        // Load the experiments referenced by the batch in a single query
+        const experimentKeys = [...new Set(records
+            .filter(record => record?.op === 'create' && typeof record.experiment?.key === 'string')
+            .map(record => record.experiment.key))];
+        const experiments = new Map(experimentKeys.length > 0
+            ? (await Experiment.find({ key: { $in: experimentKeys } })).map(experiment => [experiment.key, experiment])
+            : []);
+
+        // Validate every record before touching the database
+        const validRecords = [];
+        for (const [index, record] of records.entries()) {
+            const recordErrors = await validateBatchRecord(record, experiments);
+            if (recordErrors.length > 0) {
+                results[index].status = 'failed';
+                results[index].error = { message: 'Validation Error', details: recordErrors };
+            } else {
+                validRecords.push({ index, record });
+            }
+        }
+
+        // Load every request referenced by the batch in a single query
+        const requestIds = [...new Set(validRecords.map(({ record }) => record.requestId))];
+        const existingRequests = requestIds.length > 0
+            ? await AIRequest.find({ requestId: { $in: requestIds } })
+            : [];
+        const requestsById = new Map(existingRequests.map(aiRequest => [aiRequest.requestId, aiRequest]));
+
+        // Apply records in order so a request created earlier in the batch can be updated later in it
+        const pending = new Map(); // aiRequest -> indexes of the records applied to it
+        const completions = new Set(); // indexes of the records that completed their request
+        for (const { index, record } of validRecords) {
+            const aiRequest = requestsById.get(record.requestId);
+
+            if (record.op === 'create') {
+                if (aiRequest) {
+                    results[index].status = 'failed';
+                    results[index].error = { message: 'A request with this ID has already been tracked' };
+                    continue;
+                }
+                const chain = await resolveAttempt(record, req.user.id, requestsById);
+                if (!chain) {
+                    results[index].status = 'failed';
+                    results[index].error = { message: 'Parent AI request not found or access denied' };
+                    continue;
+                }
+                const created = buildAIRequest(req, record, chain);
+                requestsById.set(record.requestId, created);
+                pending.set(created, [index]);
+                continue;
+            }
+
+            if (!aiRequest || String(aiRequest.userId) !== String(req.user.id)) {
+                results[index].status = 'failed';
+                results[index].error = { message: 'AI request not found or access denied' };
+                continue;
+            }
+
+            if (record.op === 'checkpoint') {
+                applyCheckpoint(aiRequest, record);
+            } else {
+                const previousStatus = aiRequest.status;
+                await applyUpdate(aiRequest, record);
+                if (aiRequest.status === 'completed' && previousStatus !== 'completed') {
+                    completions.add(index);
+                }
+            }
+            pending.set(aiRequest, [...(pending.get(aiRequest) || []), index]);
+        }
+
+        // Drop documents that fail schema validation so they do not abort the bulk write
+        const toSave = [];
+        for (const [aiRequest, indexes] of pending) {
+            const validationError = aiRequest.validateSync();
+            if (validationError) {
+                failRecords(results, indexes, validationError.message);
+            } else {
+                toSave.push(aiRequest);
+            }
+        }
+
+        const writeErrors = new Map();
+        if (toSave.length > 0) {
+            try {
+                await AIRequest.bulkSave(toSave, { ordered: false });
+            } catch (error) {
+                if (!error.writeErrors) throw error;
+                for (const writeError of error.writeErrors) {
+                    const op = writeError.err?.op;
+                    const id = op?._id || op?.q?._id;
+                    if (id) writeErrors.set(String(id), writeError.errmsg || writeError.err?.errmsg || 'Write failed');
+                }
+            }
+        }
+
+        for (const aiRequest of toSave) {
+            const indexes = pending.get(aiRequest);
+            const writeError = writeErrors.get(String(aiRequest._id));
+            if (writeError) {
+                failRecords(results, indexes, writeError);
+                continue;
+            }
+
+            recordPhaseMetrics(aiRequest);
+
+            for (const index of indexes) {
+                const record = records[index];
+                if (record.op === 'create') {
+                    recordTrackMetrics(aiRequest);
+                    results[index].status = 'created';
+                } else if (record.op === 'checkpoint') {
+                    results[index].status = 'recorded';
+                } else {
+                    recordUpdateMetrics(aiRequest, record.status);
+                    if (completions.has(index)) {
+                        await recordUsage(aiRequest);
+                    }
+                    results[index].status = 'updated';
+                }
+            }
+        }
+
+        const succeeded = results.filter(result => result.status !== 'failed').length;
+
+        logger.info('AI request batch processed', {
+            userId: req.user.id,
+            total: records.length,
+            succeeded,
+            failed: records.length - succeeded
+        });
+
+        res.json({
+            message: 'AI request batch processed',
+            summary: {
+                total: records.length,
+                succeeded,
+                failed: records.length - succeeded
+            },
+            results
+        });
+    } catch (error) {
+        logger.error('Error processing AI request batch:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to process AI request batch'
+        });
+    }
+});
+
+// Pre-flight quota check, called by the AI service before running a request
+router.get('/quota/check', [
+    query('userPlan').optional().isIn(['free', 'basic', 'premium']),
+    query('estimatedTokens').optional().isInt({ min: 0 }).withMessage('Estimated tokens must be a positive integer'),
+    query('estimatedCost').optional().isFloat({ min: 0 }).withMessage('Estimated cost must be a positive number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        // Callers are checked against their own plan; only admins may check another one
+        if (req.query.userPlan && req.user.role !== 'admin') {
+            return res.status(403).json({
+                error: 'Access Denied',
+                message: 'Admin privileges required to check another plan'
+            });
+        }
+
+        const userPlan = req.query.userPlan || req.user.plan || 'free';
+        const result = await checkQuota(req.user.id, userPlan, {
+            tokens: parseInt(req.query.estimatedTokens) || 0,
+            cost: parseFloat(req.query.estimatedCost) || 0
+        });
+
+        if (!result.allowed) {
+            for (const window of result.windows) {
+                if (window.exceeded.tokens || window.exceeded.cost) {
+                    updateQuotaMetrics.incrementDenied(userPlan, window.window);
+                }
+            }
+
+            logger.info('AI request denied by quota', {
+                userId: req.user.id,
+                userPlan
+            });
+        }
+
+        res.json({
+            allowed: result.allowed,
+            userPlan,
+            windows: result.windows
+        });
+    } catch (error) {
+        logger.error('Error checking AI quota:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to check AI quota'
+        });
+    }
+});
+
 // Get AI request statistics
 router.get('/stats', [
     query('startDate').optional().isISO8601().withMessage('Invalid start date'),
@@ -196,15 +592,18 @@ router.get('/stats', [
             });
         }
 
+        // The caller's own id always wins over a userId in the query
         const filters = {
-            userId: req.user.id,
-            ...req.query
+            ...req.query,
+            userId: req.user.id
         };
 
         const stats = await AIRequest.getStats(filters);
+        const fallbacks = await AIRequest.getFallbackStats(filters);
 
         res.json({
             stats,
+            fallbacks,
             filters: req.query
         });
     } catch (error) {
@@ -273,6 +672,7 @@ router.get('/history', [
 router.get('/admin/stats', adminOnly, [
     query('startDate').optional().isISO8601().withMessage('Invalid start date'),
     query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('userId').optional().isMongoId().withMessage('Invalid user ID'),
     query('model').optional().isString(),
     query('feature').optional().isString(),
     query('status').optional().isString(),
@@ -290,36 +690,27 @@ router.get('/admin/stats', adminOnly, [
         const filters = req.query;
         const stats = await AIRequest.getStats(filters);
 
-        // Get additional analytics
-        const modelDistribution = await AIRequest.aggregate([
-            { $match: filters },
-            {
-                $group: {
-                    _id: '$model',
-                    count: { $sum: 1 },
-                    avgDuration: { $avg: '$performance.duration' },
-                    totalCost: { $sum: '$cost' }
-                }
-            },
-            { $sort: { count: -1 } }
-        ]);
+        // Get additional analytics, including feedback quality
+        const modelDistribution = await AIRequest.getQualityDistribution('model', filters);
+        const featureDistribution = await AIRequest.getQualityDistribution('metadata.feature', filters);
 
-        const featureDistribution = await AIRequest.aggregate([
-            { $match: filters },
-            {
-                $group: {
-                    _id: '$metadata.feature',
-                    count: { $sum: 1 },
-                    avgDuration: { $avg: '$performance.duration' }
-                }
-            },
-            { $sort: { count: -1 } }
-        ]);
+        // Latency percentiles and failure taxonomy
+        const latencyPercentiles = {
+            byModel: await AIRequest.getLatencyPercentiles('model', filters),
+            byFeature: await AIRequest.getLatencyPercentiles('metadata.feature', filters),
+            byComplexity: await AIRequest.getLatencyPercentiles('metadata.complexity', filters)
+        };
+        const errorBreakdown = await AIRequest.getErrorBreakdown(filters);
+
+        const fallbacks = await AIRequest.getFallbackStats(filters);
 
         res.json({
             stats,
             modelDistribution,
             featureDistribution,
+            latencyPercentiles,
+            errorBreakdown,
+            fallbacks,
             filters: req.query
         });
     } catch (error) {
@@ -331,4 +722,1154 @@ router.get('/admin/stats', adminOnly, [
     }
 });
 
+// Admin explorer: search AI requests across users. Prompts and responses are only
+// returned with includeContent=true, and every such view is written to the access log.
+router.get('/admin/explorer', adminOnly, [
+    query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+    query('requestId').optional().isString(),
+    query('model').optional().isString(),
+    query('status').optional().isString(),
+    query('errorCode').optional().isString(),
+    query('feature').optional().isString(),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('q').optional().isString().isLength({ min: 1, max: 200 }).withMessage('Search must be between 1 and 200 characters'),
+    query('includeContent').optional().isBoolean(),
+    query('cursor').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const limit = parseInt(req.query.limit) || 20;
+        const includeContent = req.query.includeContent === 'true';
+
+        const filter = {};
+        if (req.query.userId) filter.userId = req.query.userId;
+        if (req.query.requestId) filter.requestId = req.query.requestId;
+        if (req.query.model) filter.model = req.query.model;
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.errorCode) filter['error.code'] = req.query.errorCode;
+        if (req.query.feature) filter['metadata.feature'] = req.query.feature;
+        if (req.query.startDate || req.query.endDate) {
+            filter.createdAt = {};
+            if (req.query.startDate) filter.createdAt.$gte = new Date(req.query.startDate);
+            if (req.query.endDate) filter.createdAt.$lte = new Date(req.query.endDate);
+        }
+        if (req.query.q) filter.$text = { $search: req.query.q };
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({
+                    error: 'Validation Error',
+                    message: 'Invalid cursor'
+                });
+            }
+            filter.$and = [{
+                $or: [
+                    { createdAt: { $lt: cursor.createdAt } },
+                    { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }
+                ]
+            }];
+        }
+
+        const requests = await AIRequest.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .select(includeContent ? '' : '-prompt -response')
+            .lean();
+
+        const hasMore = requests.length > limit;
+        const page = hasMore ? requests.slice(0, limit) : requests;
+
+        if (includeContent && page.length > 0) {
+            await recordAccess(req, {
+                action: 'view_ai_request_content',
+                resourceIds: page.map(aiRequest => aiRequest.requestId),
+                fields: ['prompt', 'response'],
+                query: req.query
+            });
+        }
+
+        res.json({
+            requests: page,
+            pagination: {
+                limit,
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+            },
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error exploring AI requests:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to explore AI requests'
+        });
+    }
+});
+
+// Admin view of a single AI request including its prompt and response
+router.get('/admin/requests/:requestId', adminOnly, async (req, res) => {
+    try {
+        const aiRequest = await AIRequest.findOne({ requestId: req.params.requestId }).lean();
+
+        if (!aiRequest) {
+            return res.status(404).json({
+                error: 'Request not found',
+                message: 'AI request not found'
+            });
+        }
+
+        await recordAccess(req, {
+            action: 'view_ai_request_content',
+            resourceIds: [aiRequest.requestId],
+            fields: ['prompt', 'response']
+        });
+
+        res.json({
+            request: aiRequest
+        });
+    } catch (error) {
+        logger.error('Error getting AI request:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get AI request'
+        });
+    }
+});
+
+// Admin access log of prompt and response views
+router.get('/admin/access-log', adminOnly, [
+    query('actorId').optional().isMongoId().withMessage('Invalid actor ID'),
+    query('requestId').optional().isString(),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.actorId) filter.actorId = req.query.actorId;
+        if (req.query.requestId) filter.resourceIds = req.query.requestId;
+        if (req.query.startDate || req.query.endDate) {
+            filter.timestamp = {};
+            if (req.query.startDate) filter.timestamp.$gte = new Date(req.query.startDate);
+            if (req.query.endDate) filter.timestamp.$lte = new Date(req.query.endDate);
+        }
+
+        const entries = await AccessLog.find(filter)
+            .sort({ timestamp: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+
+        const total = await AccessLog.countDocuments(filter);
+
+        res.json({
+            entries,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Error getting access log:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get access log'
+        });
+    }
+});
+
+// Admin report of repeated prompts and what a response cache would have saved
+router.get('/admin/cache-opportunities', adminOnly, [
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('feature').optional().isString(),
+    query('model').optional().isString(),
+    query('match').optional().isIn(['exact', 'similar']).withMessage('Match must be exact or similar'),
+    query('minOccurrences').optional().isInt({ min: 2 }).withMessage('Minimum occurrences must be at least 2'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { startDate, endDate, feature, model } = req.query;
+        const options = {
+            match: req.query.match || 'exact',
+            minOccurrences: parseInt(req.query.minOccurrences) || 2,
+            limit: parseInt(req.query.limit) || 20
+        };
+
+        const report = await AIRequest.getCacheOpportunities({ startDate, endDate, feature, model }, options);
+
+        res.json({
+            ...report,
+            totals: {
+                repeatedRequests: report.features.reduce((sum, entry) => sum + entry.repeatedRequests, 0),
+                savableTokens: report.features.reduce((sum, entry) => sum + entry.savableTokens, 0),
+                savableCost: report.features.reduce((sum, entry) => sum + entry.savableCost, 0)
+            },
+            options,
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting cache opportunities:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get cache opportunities'
+        });
+    }
+});
+
+// Admin pricing catalog endpoints
+router.get('/admin/pricing', adminOnly, [
+    query('model').optional().isString(),
+    query('at').optional().isISO8601().withMessage('Invalid date')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const filters = {};
+        if (req.query.model) filters.model = req.query.model;
+        if (req.query.at) {
+            const at = new Date(req.query.at);
+            filters.effectiveFrom = { $lte: at };
+            filters.$or = [{ effectiveTo: null }, { effectiveTo: { $gt: at } }];
+        }
+
+        const prices = await ModelPricing.find(filters)
+            .sort({ model: 1, effectiveFrom: -1 })
+            .lean();
+
+        res.json({
+            prices,
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting model pricing:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get model pricing'
+        });
+    }
+});
+
+router.post('/admin/pricing', adminOnly, [
+    body('model').custom(isActiveRegistryName('model')).withMessage('Invalid model').customSanitizer(toCanonicalName('model')),
+    body('inputPricePerToken').isFloat({ min: 0 }).withMessage('Input price per token must be a positive number'),
+    body('outputPricePerToken').isFloat({ min: 0 }).withMessage('Output price per token must be a positive number'),
+    body('currency').optional().isString(),
+    body('effectiveFrom').optional().isISO8601().withMessage('Invalid effective from date'),
+    body('effectiveTo').optional({ values: 'null' }).isISO8601().withMessage('Invalid effective to date'),
+    body('notes').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const {
+            model,
+            inputPricePerToken,
+            outputPricePerToken,
+            currency = 'USD',
+            notes
+        } = req.body;
+        const effectiveFrom = req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : new Date();
+        const effectiveTo = req.body.effectiveTo ? new Date(req.body.effectiveTo) : null;
+
+        // A new price supersedes the current open-ended price; any other overlap is a conflict
+        const overlapping = await ModelPricing.findOverlapping(model, effectiveFrom, effectiveTo);
+        const superseded = overlapping.find(price => !price.effectiveTo && price.effectiveFrom < effectiveFrom);
+        const conflicts = overlapping.filter(price => price !== superseded);
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                error: 'Pricing overlap',
+                message: 'The effective range overlaps existing prices for this model',
+                conflicts
+            });
+        }
+
+        if (superseded) {
+            superseded.effectiveTo = effectiveFrom;
+            superseded.updatedBy = req.user.id;
+            await superseded.save();
+        }
+
+        const pricing = new ModelPricing({
+            model,
+            inputPricePerToken,
+            outputPricePerToken,
+            currency,
+            effectiveFrom,
+            effectiveTo,
+            notes,
+            createdBy: req.user.id
+        });
+
+        await pricing.save();
+        invalidatePricingCache(model);
+
+        logger.info('Model pricing created', {
+            pricingId: pricing._id,
+            model,
+            effectiveFrom,
+            effectiveTo,
+            userId: req.user.id
+        });
+
+        res.status(201).json({
+            message: 'Model pricing created successfully',
+            pricing,
+            superseded: superseded ? superseded._id : null
+        });
+    } catch (error) {
+        logger.error('Error creating model pricing:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create model pricing'
+        });
+    }
+});
+
+// Correct an existing price; costs of requests in the affected range are recomputed
+router.put('/admin/pricing/:id', adminOnly, [
+    param('id').isMongoId().withMessage('Invalid pricing ID'),
+    body('inputPricePerToken').optional().isFloat({ min: 0 }).withMessage('Input price per token must be a positive number'),
+    body('outputPricePerToken').optional().isFloat({ min: 0 }).withMessage('Output price per token must be a positive number'),
+    body('currency').optional().isString(),
+    body('effectiveFrom').optional().isISO8601().withMessage('Invalid effective from date'),
+    body('effectiveTo').optional({ values: 'null' }).isISO8601().withMessage('Invalid effective to date'),
+    body('notes').optional().isString(),
+    body('recompute').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const pricing = await ModelPricing.findById(req.params.id);
+        if (!pricing) {
+            return res.status(404).json({
+                error: 'Pricing not found',
+                message: 'Model pricing not found'
+            });
+        }
+
+        const previousRange = { from: pricing.effectiveFrom, to: pricing.effectiveTo };
+
+        const { inputPricePerToken, outputPricePerToken, currency, notes, recompute = true } = req.body;
+        if (inputPricePerToken !== undefined) pricing.inputPricePerToken = inputPricePerToken;
+        if (outputPricePerToken !== undefined) pricing.outputPricePerToken = outputPricePerToken;
+        if (currency) pricing.currency = currency;
+        if (notes !== undefined) pricing.notes = notes;
+        if (req.body.effectiveFrom) pricing.effectiveFrom = new Date(req.body.effectiveFrom);
+        if (req.body.effectiveTo !== undefined) {
+            pricing.effectiveTo = req.body.effectiveTo ? new Date(req.body.effectiveTo) : null;
+        }
+        pricing.updatedBy = req.user.id;
+
+        const conflicts = await ModelPricing.findOverlapping(pricing.model, pricing.effectiveFrom, pricing.effectiveTo, pricing._id);
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                error: 'Pricing overlap',
+                message: 'The effective range overlaps existing prices for this model',
+                conflicts
+            });
+        }
+
+        await pricing.save();
+        invalidatePricingCache(pricing.model);
+
+        // Recompute over the union of the old and new effective ranges
+        if (recompute) {
+            const startDate = new Date(Math.min(previousRange.from, pricing.effectiveFrom));
+            const endDate = previousRange.to && pricing.effectiveTo
+                ? new Date(Math.max(previousRange.to, pricing.effectiveTo))
+                : undefined;
+
+            recomputeCosts({ model: pricing.model, startDate, endDate }).catch(error => {
+                logger.error('Error recomputing AI request costs:', error);
+            });
+        }
+
+        logger.info('Model pricing updated', {
+            pricingId: pricing._id,
+            model: pricing.model,
+            recompute,
+            userId: req.user.id
+        });
+
+        res.json({
+            message: 'Model pricing updated successfully',
+            pricing,
+            recomputeStarted: recompute
+        });
+    } catch (error) {
+        logger.error('Error updating model pricing:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update model pricing'
+        });
+    }
+});
+
+router.delete('/admin/pricing/:id', adminOnly, [
+    param('id').isMongoId().withMessage('Invalid pricing ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const pricing = await ModelPricing.findByIdAndDelete(req.params.id);
+        if (!pricing) {
+            return res.status(404).json({
+                error: 'Pricing not found',
+                message: 'Model pricing not found'
+            });
+        }
+
+        invalidatePricingCache(pricing.model);
+
+        logger.info('Model pricing deleted', {
+            pricingId: pricing._id,
+            model: pricing.model,
+            userId: req.user.id
+        });
+
+        res.json({
+            message: 'Model pricing deleted successfully',
+            pricingId: pricing._id
+        });
+    } catch (error) {
+        logger.error('Error deleting model pricing:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to delete model pricing'
+        });
+    }
+});
+
+// Recompute stored costs of historical requests from the current catalog
+router.post('/admin/pricing/recompute', adminOnly, [
+    body('model').optional().isString(),
+    body('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    body('endDate').optional().isISO8601().withMessage('Invalid end date')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { model, startDate, endDate } = req.body;
+
+        recomputeCosts({ model, startDate, endDate }).catch(error => {
+            logger.error('Error recomputing AI request costs:', error);
+        });
+
+        res.status(202).json({
+            message: 'Cost recompute started',
+            filters: { model, startDate, endDate }
+        });
+    } catch (error) {
+        logger.error('Error starting cost recompute:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to start cost recompute'
+        });
+    }
+});
+
+// Admin model and feature registry endpoints
+router.get('/admin/registry', adminOnly, [
+    query('type').optional().isIn(['model', 'feature']).withMessage('Type must be model or feature'),
+    query('active').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const filters = {};
+        if (req.query.type) filters.type = req.query.type;
+        if (req.query.active !== undefined) filters.active = req.query.active === 'true';
+
+        const entries = await AIRegistry.find(filters)
+            .sort({ type: 1, name: 1 })
+            .lean();
+
+        res.json({
+            entries,
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting AI registry:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get AI registry'
+        });
+    }
+});
+
+router.post('/admin/registry', adminOnly, [
+    body('type').isIn(['model', 'feature']).withMessage('Type must be model or feature'),
+    body('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('aliases').optional().isArray(),
+    body('aliases.*').isString().trim().notEmpty(),
+    body('description').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { type, name, aliases = [], description } = req.body;
+
+        const conflicts = await findRegistryConflicts(type, [name, ...aliases]);
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                error: 'Registry conflict',
+                message: 'The name or an alias is already registered',
+                conflicts
+            });
+        }
+
+        const entry = new AIRegistry({
+            type,
+            name,
+            aliases,
+            description,
+            createdBy: req.user.id
+        });
+
+        await entry.save();
+        invalidateRegistryCache(type);
+
+        logger.info('AI registry entry created', {
+            type,
+            name,
+            userId: req.user.id
+        });
+
+        res.status(201).json({
+            message: 'Registry entry created successfully',
+            entry
+        });
+    } catch (error) {
+        logger.error('Error creating AI registry entry:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create registry entry'
+        });
+    }
+});
+
+// Names are immutable because stored requests reference them; update aliases, description or status
+router.put('/admin/registry/:id', adminOnly, [
+    param('id').isMongoId().withMessage('Invalid registry entry ID'),
+    body('aliases').optional().isArray(),
+    body('aliases.*').isString().trim().notEmpty(),
+    body('description').optional().isString(),
+    body('active').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const entry = await AIRegistry.findById(req.params.id);
+        if (!entry) {
+            return res.status(404).json({
+                error: 'Registry entry not found',
+                message: 'AI registry entry not found'
+            });
+        }
+
+        const { aliases, description, active } = req.body;
+
+        if (aliases) {
+            const conflicts = await findRegistryConflicts(entry.type, aliases, entry._id);
+            if (conflicts.length > 0) {
+                return res.status(409).json({
+                    error: 'Registry conflict',
+                    message: 'An alias is already registered',
+                    conflicts
+                });
+            }
+            entry.aliases = aliases;
+        }
+        if (description !== undefined) entry.description = description;
+        if (active !== undefined) entry.active = active;
+        entry.updatedBy = req.user.id;
+
+        await entry.save();
+        invalidateRegistryCache(entry.type);
+
+        logger.info('AI registry entry updated', {
+            type: entry.type,
+            name: entry.name,
+            userId: req.user.id
+        });
+
+        res.json({
+            message: 'Registry entry updated successfully',
+            entry
+        });
+    } catch (error) {
+        logger.error('Error updating AI registry entry:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update registry entry'
+        });
+    }
+});
+
+// Entries are deactivated rather than removed so historical requests stay valid
+router.delete('/admin/registry/:id', adminOnly, [
+    param('id').isMongoId().withMessage('Invalid registry entry ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const entry = await AIRegistry.findByIdAndUpdate(
+            req.params.id,
+            { active: false, updatedBy: req.user.id },
+            { new: true }
+        );
+        if (!entry) {
+            return res.status(404).json({
+                error: 'Registry entry not found',
+                message: 'AI registry entry not found'
+            });
+        }
+
+        invalidateRegistryCache(entry.type);
+
+        logger.info('AI registry entry deactivated', {
+            type: entry.type,
+            name: entry.name,
+            userId: req.user.id
+        });
+
+        res.json({
+            message: 'Registry entry deactivated successfully',
+            entry
+        });
+    } catch (error) {
+        logger.error('Error deactivating AI registry entry:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to deactivate registry entry'
+        });
+    }
+});
+
+// Admin quota policy endpoints
+router.get('/admin/quota/policies', adminOnly, [
+    query('scope').optional().isIn(['plan', 'user']),
+    query('userPlan').optional().isIn(['free', 'basic', 'premium']),
+    query('userId').optional().isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const filters = {};
+        if (req.query.scope) filters.scope = req.query.scope;
+        if (req.query.userPlan) filters.userPlan = req.query.userPlan;
+        if (req.query.userId) filters.userId = req.query.userId;
+
+        const policies = await QuotaPolicy.find(filters)
+            .sort({ scope: 1, userPlan: 1, window: 1 })
+            .lean();
+
+        res.json({
+            policies,
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting quota policies:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get quota policies'
+        });
+    }
+});
+
+router.post('/admin/quota/policies', adminOnly, [
+    body('scope').isIn(['plan', 'user']).withMessage('Scope must be plan or user'),
+    body('userPlan').if(body('scope').equals('plan')).isIn(['free', 'basic', 'premium']).withMessage('Invalid user plan'),
+    body('userId').if(body('scope').equals('user')).isMongoId().withMessage('Invalid user ID'),
+    body('window').isIn(['daily', 'monthly']).withMessage('Window must be daily or monthly'),
+    body('maxTokens').optional({ values: 'null' }).isInt({ min: 0 }),
+    body('maxCost').optional({ values: 'null' }).isFloat({ min: 0 }),
+    body('warnThreshold').optional().isFloat({ min: 0, max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { scope, window, maxTokens = null, maxCost = null, warnThreshold } = req.body;
+        const target = scope === 'plan' ? { userPlan: req.body.userPlan } : { userId: req.body.userId };
+
+        const existingPolicy = await QuotaPolicy.findOne({ scope, window, ...target });
+        if (existingPolicy) {
+            return res.status(409).json({
+                error: 'Policy already exists',
+                message: 'A quota policy for this target and window already exists',
+                policyId: existingPolicy._id
+            });
+        }
+
+        const policy = new QuotaPolicy({
+            scope,
+            window,
+            maxTokens,
+            maxCost,
+            warnThreshold,
+            ...target,
+            createdBy: req.user.id
+        });
+
+        await policy.save();
+
+        logger.info('Quota policy created', {
+            policyId: policy._id,
+            scope,
+            window,
+            userId: req.user.id
+        });
+
+        res.status(201).json({
+            message: 'Quota policy created successfully',
+            policy
+        });
+    } catch (error) {
+        logger.error('Error creating quota policy:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create quota policy'
+        });
+    }
+});
+
+router.put('/admin/quota/policies/:id', adminOnly, [
+    param('id').isMongoId().withMessage('Invalid policy ID'),
+    body('maxTokens').optional({ values: 'null' }).isInt({ min: 0 }),
+    body('maxCost').optional({ values: 'null' }).isFloat({ min: 0 }),
+    body('warnThreshold').optional().isFloat({ min: 0, max: 100 }),
+    body('active').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const policy = await QuotaPolicy.findById(req.params.id);
+        if (!policy) {
+            return res.status(404).json({
+                error: 'Policy not found',
+                message: 'Quota policy not found'
+            });
+        }
+
+        const { maxTokens, maxCost, warnThreshold, active } = req.body;
+        if (maxTokens !== undefined) policy.maxTokens = maxTokens;
+        if (maxCost !== undefined) policy.maxCost = maxCost;
+        if (warnThreshold !== undefined) policy.warnThreshold = warnThreshold;
+        if (active !== undefined) policy.active = active;
+        policy.updatedBy = req.user.id;
+
+        await policy.save();
+
+        logger.info('Quota policy updated', {
+            policyId: policy._id,
+            userId: req.user.id
+        });
+
+        res.json({
+            message: 'Quota policy updated successfully',
+            policy
+        });
+    } catch (error) {
+        logger.error('Error updating quota policy:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update quota policy'
+        });
+    }
+});
+
+router.delete('/admin/quota/policies/:id', adminOnly, [
+    param('id').isMongoId().withMessage('Invalid policy ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const policy = await QuotaPolicy.findByIdAndDelete(req.params.id);
+        if (!policy) {
+            return res.status(404).json({
+                error: 'Policy not found',
+                message: 'Quota policy not found'
+            });
+        }
+
+        logger.info('Quota policy deleted', {
+            policyId: policy._id,
+            userId: req.user.id
+        });
+
+        res.json({
+            message: 'Quota policy deleted successfully',
+            policyId: policy._id
+        });
+    } catch (error) {
+        logger.error('Error deleting quota policy:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to delete quota policy'
+        });
+    }
+});
+
+// Get a user's current quota usage
+router.get('/admin/quota/usage/:userId', adminOnly, [
+    param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { userId } = req.params;
+        const [daily, monthly] = await Promise.all([
+            getUsage(userId, 'daily'),
+            getUsage(userId, 'monthly')
+        ]);
+
+        res.json({
+            userId,
+            usage: { daily, monthly }
+        });
+    } catch (error) {
+        logger.error('Error getting quota usage:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get quota usage'
+        });
+    }
+});
+
+// Helper functions
+function buildAIRequest(req, fields, chain = { parentRequestId: null, attempt: 1 }) {
+    const {
+        requestId,
+        model,
+        prompt,
+        feature = 'other',
+        complexity = 'medium',
+        language = 'en',
+        userPlan = 'free'
+    } = fields;
+
+    // Prompts are fingerprinted, then redacted before they are stored
+    const { fingerprint, simHash } = fingerprintPrompt(prompt);
+    const redactedPrompt = redact('prompt', prompt, feature);
+
+    return new AIRequest({
+        userId: req.user.id,
+        requestId,
+        parentRequestId: chain.parentRequestId,
+        attempt: chain.attempt,
+        fallbackFrom: chain.fallbackFrom,
+        model,
+        prompt: redactedPrompt.text,
+        promptFingerprint: fingerprint,
+        promptSimHash: simHash,
+        experiment: fields.experiment
+            ? { key: fields.experiment.key, variant: fields.experiment.variant }
+            : undefined,
+        redaction: {
+            prompt: redactedPrompt.marker
+        },
+        metadata: {
+            userAgent: req.get('User-Agent'),
+            ipAddress: req.ip,
+            sessionId: req.headers['x-session-id'],
+            feature,
+            complexity,
+            language
+        },
+        userPlan,
+        performance: {
+            startTime: new Date()
+        }
+    });
+}
+
+// Resolve the logical request an attempt belongs to and its position in the chain.
+// `pendingRequests` holds requests created earlier in the same batch. Returns null
+// when the parent does not exist or belongs to another user.
+async function resolveAttempt(fields, userId, pendingRequests = new Map()) {
+    if (!fields.parentRequestId) {
+        return { parentRequestId: null, attempt: 1 };
+    }
+
+    const parent = pendingRequests.get(fields.parentRequestId) ||
+        await AIRequest.findOne({ requestId: fields.parentRequestId }).select('requestId parentRequestId userId').lean();
+    if (!parent || String(parent.userId) !== String(userId)) return null;
+
+    // Attempts always point at the first attempt, even when the parent given is a retry
+    const rootRequestId = parent.parentRequestId || parent.requestId;
+    const isInChain = (aiRequest) => aiRequest.requestId === rootRequestId || aiRequest.parentRequestId === rootRequestId;
+
+    const attempts = [
+        ...await AIRequest.find({ $or: [{ requestId: rootRequestId }, { parentRequestId: rootRequestId }] })
+            .select('requestId parentRequestId model attempt')
+            .lean(),
+        ...[...pendingRequests.values()].filter(aiRequest => aiRequest.isNew && isInChain(aiRequest))
+    ];
+    const previous = attempts.reduce((latest, aiRequest) =>
+        (!latest || aiRequest.attempt > latest.attempt ? aiRequest : latest), null);
+
+    return {
+        parentRequestId: rootRequestId,
+        attempt: fields.attempt ? parseInt(fields.attempt) : (previous ? previous.attempt + 1 : 2),
+        fallbackFrom: previous && previous.model !== fields.model ? previous.model : undefined
+    };
+}
+
+async function applyUpdate(aiRequest, fields) {
+    const {
+        status,
+        response,
+        tokens,
+        cost,
+        error
+    } = fields;
+
+    aiRequest.status = status;
+    if (response) {
+        const redactedResponse = redact('response', response, aiRequest.metadata.feature);
+        aiRequest.response = redactedResponse.text;
+        aiRequest.redaction.response = redactedResponse.marker;
+    }
+    if (tokens) aiRequest.tokens = tokens;
+    if (cost) {
+        aiRequest.cost = cost;
+        aiRequest.costSource = 'client';
+        aiRequest.pricingId = undefined;
+    }
+    if (error) aiRequest.error = error;
+
+    // Catalog prices take precedence over a caller-supplied cost
+    if (tokens) {
+        const pricing = await computeRequestCost(aiRequest);
+        if (pricing) {
+            aiRequest.cost = pricing.cost;
+            aiRequest.costSource = 'catalog';
+            aiRequest.pricingId = pricing.pricingId;
+        }
+    }
+
+    // Calculate performance metrics
+    if (status === 'processing') {
+        aiRequest.recordCheckpoint('started');
+    }
+    if (status === 'completed' || status === 'failed') {
+        aiRequest.performance.endTime = new Date();
+        aiRequest.performance.duration = aiRequest.performance.endTime - aiRequest.performance.startTime;
+    }
+    if (status === 'completed') {
+        aiRequest.recordCheckpoint('completed', aiRequest.performance.endTime);
+    }
+}
+
+function applyCheckpoint(aiRequest, fields) {
+    const timestamp = fields.timestamp ? new Date(fields.timestamp) : new Date();
+    return aiRequest.recordCheckpoint(fields.phase, timestamp);
+}
+
+function recordPhaseMetrics(aiRequest) {
+    for (const { phase, duration } of aiRequest.getNewPhaseDurations()) {
+        updateAIMetrics.recordPhaseDuration(aiRequest.model, aiRequest.metadata.feature, phase, duration);
+    }
+    aiRequest.$locals.newCheckpoints = [];
+}
+
+function recordTrackMetrics(aiRequest) {
+    updateAIMetrics.incrementRequest(aiRequest.model, 'pending', aiRequest.metadata.feature, aiRequest.userPlan);
+}
+
+function recordUpdateMetrics(aiRequest, status = aiRequest.status) {
+    updateAIMetrics.incrementRequest(aiRequest.model, status, aiRequest.metadata.feature, aiRequest.userPlan);
+
+    if (status === 'completed') {
+        updateAIMetrics.recordDuration(aiRequest.model, aiRequest.metadata.feature, aiRequest.userPlan, aiRequest.performance.duration);
+        if (aiRequest.tokens.input) {
+            updateAIMetrics.incrementTokens(aiRequest.model, 'input', aiRequest.userPlan, aiRequest.tokens.input);
+        }
+        if (aiRequest.tokens.output) {
+            updateAIMetrics.incrementTokens(aiRequest.model, 'output', aiRequest.userPlan, aiRequest.tokens.output);
+        }
+        if (aiRequest.cost) {
+            updateAIMetrics.incrementCost(aiRequest.model, aiRequest.userPlan, aiRequest.cost);
+        }
+    }
+}
+
+// Batches preload the experiments their records reference into req.experiments
+async function findExperiment(req, key) {
+    if (req.experiments) return req.experiments.get(key) || null;
+    return await Experiment.findOne({ key });
+}
+
+// Runs the single-record validation chains against one batch record
+async function validateBatchRecord(record, experiments) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return [{ msg: 'Record must be an object' }];
+    }
+
+    let validators;
+    if (record.op === 'create') {
+        validators = trackValidators;
+    } else if (record.op === 'update' || record.op === 'checkpoint') {
+        validators = [
+            body('requestId').isString().notEmpty().withMessage('Request ID is required'),
+            ...(record.op === 'update' ? updateValidators : checkpointValidators)
+        ];
+    } else {
+        return [{ msg: 'Operation must be create, update or checkpoint', path: 'op' }];
+    }
+
+    const recordReq = { body: record, experiments };
+    for (const validator of validators) {
+        await validator.run(recordReq);
+    }
+    return validationResult(recordReq).array();
+}
+
+// Find registry entries of a type whose name or aliases collide with the given names
+async function findRegistryConflicts(type, names, excludeId) {
+    const query = {
+        type,
+        $or: [{ name: { $in: names } }, { aliases: { $in: names } }]
+    };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    return await AIRegistry.find(query).select('type name aliases').lean();
+}
+
+// Explorer cursors encode the sort key (createdAt, _id) of the last row of a page
+function encodeCursor(aiRequest) {
+    return Buffer.from(`${aiRequest.createdAt.toISOString()}|${aiRequest._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const [createdAt, id] = Buffer.from(cursor, 'base64url').toString().split('|');
+    const date = new Date(createdAt);
+    if (isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+}
+
+function failRecords(results, indexes, message) {
+    for (const index of indexes) {
+        results[index].status = 'failed';
+        results[index].error = { message };
+    }
+}
+
 module.exports = router; 
\ No newline at end of file
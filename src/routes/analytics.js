@@ -1,31 +1,69 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const UserEngagement = require('../models/UserEngagement');
 const SalesAnalytics = require('../models/SalesAnalytics');
+const Funnel = require('../models/Funnel');
+const UserSession = require('../models/UserSession');
+const ActiveUserSnapshot = require('../models/ActiveUserSnapshot');
+const EventDefinition = require('../models/EventDefinition');
 const { updateEngagementMetrics, updateSalesMetrics } = require('../utils/prometheus');
+const { getOrCompute } = require('../utils/resultCache');
+const { parseUserAgent } = require('../utils/userAgent');
+const { GEO_LEVELS, resolveIpMetadata } = require('../utils/geoip');
+const { classifyRequest, classifyEngagement, flagBotSession } = require('../utils/botDetection');
+const reenrichUserAgents = require('../jobs/reenrichUserAgents');
+const { isIngestionEnabled, issueIngestionToken } = require('../utils/ingestionToken');
+const { isStitchingEvent, stitchAnonymousHistory } = require('../utils/identity');
+const {
+    isActiveEventName,
+    isKnownEventName,
+    checkPropertiesSchema,
+    validateEventProperties,
+    invalidateEventRegistryCache
+} = require('../utils/eventRegistry');
 const logger = require('../utils/logger');
 const { adminOnly } = require('../middleware/auth');
 
 const router = express.Router();
 
+const RETENTION_CACHE_TTL_SECONDS = parseInt(process.env.RETENTION_CACHE_TTL_SECONDS) || 60 * 60;
+
+const sessionQueryValidators = [
+    query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+    query('userPlan').optional().isIn(['free', 'basic', 'premium']),
+    query('deviceType').optional().isIn(['desktop', 'mobile', 'tablet']),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('includeBots').optional().isBoolean()
+];
+
+const geoQueryValidators = [
+    query('level').optional().isIn(GEO_LEVELS).withMessage('Level must be country, region or city'),
+    query('country').optional().isISO31661Alpha2().withMessage('Country must be an ISO 3166-1 alpha-2 code').toUpperCase(),
+    query('region').optional().isString().notEmpty(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('includeBots').optional().isBoolean()
+];
+
+const funnelStepValidators = [
+    body('steps.*.event').custom(isKnownEventName('event')).withMessage('Invalid step event'),
+    body('steps.*.feature').optional({ values: 'null' }).custom(isKnownEventName('feature')).withMessage('Invalid step feature'),
+    body('conversionWindowHours').optional().isFloat({ min: 1, max: 24 * 90 }).withMessage('Conversion window must be between 1 and 2160 hours'),
+    body('userPlan').optional().isIn(['free', 'basic', 'premium']),
+    body('deviceType').optional().isIn(['desktop', 'mobile', 'tablet'])
+];
+
 // Track user engagement event
 router.post('/engagement/track', [
-    body('event').isIn([
-        'page_view', 'feature_usage', 'ai_request', 'subscription_upgrade',
-        'subscription_downgrade', 'payment_success', 'payment_failed',
-        'login', 'logout', 'registration', 'profile_update',
-        'artwork_upload', 'artwork_analysis', 'portfolio_view',
-        'market_analysis', 'style_recommendation', 'search', 'filter',
-        'export', 'share', 'feedback', 'support_request'
-    ]).withMessage('Invalid event type'),
+    body('event').custom(isActiveEventName('event')).withMessage('Invalid event type'),
     body('sessionId').isString().notEmpty().withMessage('Session ID is required'),
     body('page').optional().isString(),
-    body('feature').optional().isIn([
-        'artwork-analysis', 'style-recommendation', 'market-analysis',
-        'portfolio-review', 'ai-chat', 'export', 'share', 'premium-features'
-    ]),
+    body('feature').optional().custom(isActiveEventName('feature')).withMessage('Invalid feature'),
     body('value').optional().isNumeric(),
-    body('properties').optional().isObject()
+    body('properties').optional().isObject(),
+    body('anonymousId').optional().matches(/^[A-Za-z0-9_-]{8,128}$/).withMessage('Invalid anonymous ID')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -42,51 +80,86 @@ router.post('/engagement/track', [
             page,
             feature,
             value = 0,
-            properties = {}
+            properties = {},
+            anonymousId
         } = req.body;
 
+        const schemaCheck = await validateEventProperties(event, properties);
+        if (!schemaCheck.valid) {
+            updateEngagementMetrics.incrementSchemaViolation(event, schemaCheck.mode);
+            if (schemaCheck.mode === 'strict') {
+                return res.status(400).json({
+                    error: 'Validation Error',
+                    message: 'Event properties do not match the registered schema',
+                    details: schemaCheck.errors
+                });
+            }
+        }
+
         // Extract device information from User-Agent
         const userAgent = req.get('User-Agent') || '';
-        let deviceType = 'desktop';
-        if (/mobile/i.test(userAgent)) deviceType = 'mobile';
-        else if (/tablet/i.test(userAgent)) deviceType = 'tablet';
+        const { isBot: isBotUserAgent, ...device } = parseUserAgent(userAgent);
+        const { deviceType } = device;
+        const scrollDepth = parseInt(req.headers['x-scroll-depth']) || 0;
+
+        const botCheck = await classifyEngagement({
+            isBotUserAgent,
+            ipAddress: req.ip,
+            userId: req.user.id,
+            anonymousId,
+            sessionId,
+            event,
+            scrollDepth
+        });
 
         const engagement = new UserEngagement({
             userId: req.user.id,
+            anonymousId,
             sessionId,
             event,
             page,
             feature,
             value,
             properties,
+            schemaErrors: schemaCheck.valid ? undefined : schemaCheck.errors,
+            isBot: botCheck.isBot,
+            botReasons: botCheck.isBot ? botCheck.botReasons : undefined,
             userPlan: req.user.plan || 'free',
             metadata: {
                 userAgent,
-                ipAddress: req.ip,
+                ...resolveIpMetadata(req.ip),
                 referrer: req.get('Referrer'),
                 utmSource: req.query.utm_source,
                 utmMedium: req.query.utm_medium,
                 utmCampaign: req.query.utm_campaign,
-                deviceType,
-                browser: extractBrowser(userAgent),
-                os: extractOS(userAgent),
+                ...device,
                 screenResolution: req.headers['x-screen-resolution'],
                 timeOnPage: parseInt(req.headers['x-time-on-page']) || 0,
-                scrollDepth: parseInt(req.headers['x-scroll-depth']) || 0,
+                scrollDepth,
                 clicks: parseInt(req.headers['x-clicks']) || 0,
                 formInteractions: parseInt(req.headers['x-form-interactions']) || 0
             }
         });
 
         await engagement.save();
+        await flagBotSession({ userId: req.user.id, sessionId }, botCheck.sessionReasons);
+
+        // Link the visitor's pre-login history to the user
+        if (anonymousId && isStitchingEvent(event)) {
+            await stitchAnonymousHistory(anonymousId, req.user.id, event, engagement.timestamp);
+        }
 
         // Update Prometheus metrics
-        updateEngagementMetrics.incrementEvent(
-            event,
-            feature,
-            req.user.plan || 'free',
-            deviceType
-        );
+        if (botCheck.isBot) {
+            updateEngagementMetrics.incrementBotEvent(event, botCheck.botReasons[0]);
+        } else {
+            updateEngagementMetrics.incrementEvent(
+                event,
+                feature,
+                req.user.plan || 'free',
+                deviceType
+            );
+        }
 
         logger.info('User engagement tracked', {
             userId: req.user.id,
@@ -108,6 +181,31 @@ router.post('/engagement/track', [
     }
 });
 
+// Issue a short-lived token for beacon ingestion (POST /api/beacon/engagement)
+router.post('/ingestion-token', async (req, res) => {
+    try {
+        if (!isIngestionEnabled()) {
+            return res.status(503).json({
+                error: 'Ingestion disabled',
+                message: 'Beacon ingestion is not configured'
+            });
+        }
+
+        const { token, expiresAt } = issueIngestionToken(req.user);
+
+        res.status(201).json({
+            token,
+            expiresAt
+        });
+    } catch (error) {
+        logger.error('Error issuing ingestion token:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to issue ingestion token'
+        });
+    }
+});
+
 // Track sales transaction
 router.post('/sales/track', [
     body('transactionId').isString().notEmpty().withMessage('Transaction ID is required'),
@@ -148,6 +246,9 @@ router.post('/sales/track', [
             });
         }
 
+        const { isBot: isBotUserAgent, ...device } = parseUserAgent(req.get('User-Agent'));
+        const botCheck = classifyRequest({ isBotUserAgent, ipAddress: req.ip });
+
         const salesTransaction = new SalesAnalytics({
             userId: req.user.id,
             transactionId,
@@ -159,9 +260,12 @@ router.post('/sales/track', [
             plan,
             subscription,
             refund,
+            isBot: botCheck.isBot,
+            botReasons: botCheck.isBot ? botCheck.botReasons : undefined,
             metadata: {
                 userAgent: req.get('User-Agent'),
-                ipAddress: req.ip,
+                ...device,
+                ...resolveIpMetadata(req.ip),
                 source: req.headers['x-source'] || 'web',
                 campaign: req.headers['x-campaign'],
                 utmSource: req.query.utm_source,
@@ -205,7 +309,8 @@ router.get('/engagement/stats', [
     query('startDate').optional().isISO8601().withMessage('Invalid start date'),
     query('endDate').optional().isISO8601().withMessage('Invalid end date'),
     query('event').optional().isString(),
-    query('feature').optional().isString()
+    query('feature').optional().isString(),
+    query('includeBots').optional().isBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -218,7 +323,8 @@ router.get('/engagement/stats', [
 
         const filters = {
             userId: req.user.id,
-            ...req.query
+            ...req.query,
+            includeBots: req.query.includeBots === 'true'
         };
 
         const stats = await UserEngagement.getEngagementStats(filters);
@@ -267,13 +373,45 @@ router.get('/engagement/journey', [
     }
 });
 
+// Get the current user's sessions
+router.get('/engagement/sessions', [
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { sessions, pagination } = await findSessions({ ...req.query, userId: req.user.id });
+
+        res.json({
+            sessions,
+            pagination
+        });
+    } catch (error) {
+        logger.error('Error getting sessions:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get sessions'
+        });
+    }
+});
+
 // Get sales statistics
 router.get('/sales/stats', [
     query('startDate').optional().isISO8601().withMessage('Invalid start date'),
     query('endDate').optional().isISO8601().withMessage('Invalid end date'),
     query('type').optional().isString(),
     query('status').optional().isString(),
-    query('plan').optional().isString()
+    query('plan').optional().isString(),
+    query('includeBots').optional().isBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -286,12 +424,13 @@ router.get('/sales/stats', [
 
         const filters = {
             userId: req.user.id,
-            ...req.query
+            ...req.query,
+            includeBots: req.query.includeBots === 'true'
         };
 
         const stats = await SalesAnalytics.getSalesStats(filters);
         const revenueByPlan = await SalesAnalytics.getRevenueByPlan(filters);
-        const clv = await SalesAnalytics.getCustomerLifetimeValue(req.user.id);
+        const clv = await SalesAnalytics.getCustomerLifetimeValue(req.user.id, filters);
 
         res.json({
             stats,
@@ -314,7 +453,8 @@ router.get('/admin/engagement/stats', adminOnly, [
     query('endDate').optional().isISO8601().withMessage('Invalid end date'),
     query('event').optional().isString(),
     query('feature').optional().isString(),
-    query('userPlan').optional().isString()
+    query('userPlan').optional().isString(),
+    query('includeBots').optional().isBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -325,13 +465,14 @@ router.get('/admin/engagement/stats', adminOnly, [
             });
         }
 
-        const filters = req.query;
-        const stats = await UserEngagement.getEngagementStats(filters);
-        const eventDistribution = await UserEngagement.getEventDistribution(filters);
+        const { includeBots, ...filters } = req.query;
+        const statsFilters = { ...filters, includeBots: includeBots === 'true' };
+        const stats = await UserEngagement.getEngagementStats(statsFilters);
+        const eventDistribution = await UserEngagement.getEventDistribution(statsFilters);
 
         // Get user activity by plan
         const activityByPlan = await UserEngagement.aggregate([
-            { $match: filters },
+            { $match: includeBots === 'true' ? filters : { ...filters, isBot: { $ne: true } } },
             {
                 $group: {
                     _id: '$userPlan',
@@ -366,12 +507,505 @@ router.get('/admin/engagement/stats', adminOnly, [
     }
 });
 
+router.get('/admin/sessions', adminOnly, [
+    ...sessionQueryValidators,
+    query('bounce').optional().isBoolean(),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { sessions, pagination } = await findSessions(req.query);
+
+        res.json({
+            sessions,
+            pagination,
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting admin sessions:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get sessions'
+        });
+    }
+});
+
+router.get('/admin/sessions/stats', adminOnly, sessionQueryValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const stats = await UserSession.getSessionStats({
+            ...req.query,
+            includeBots: req.query.includeBots === 'true'
+        });
+
+        res.json({
+            stats,
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting session stats:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get session statistics'
+        });
+    }
+});
+
+// Daily DAU/WAU/MAU history recorded by the active users job
+router.get('/admin/active-users/history', adminOnly, [
+    query('userPlan').optional().isIn(['all', 'free', 'basic', 'premium']),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const filter = { userPlan: req.query.userPlan || 'all' };
+        filter.date = {
+            $gte: req.query.startDate
+                ? new Date(req.query.startDate)
+                : new Date(Date.now() - 90 * 24 * 60 * 60 * 1000)
+        };
+        if (req.query.endDate) filter.date.$lte = new Date(req.query.endDate);
+
+        const history = await ActiveUserSnapshot.find(filter)
+            .sort({ date: 1 })
+            .select('date userPlan dau wau mau stickiness computedAt')
+            .lean();
+
+        res.json({
+            history,
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting active users history:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get active users history'
+        });
+    }
+});
+
+// Event registry: registered events and features with their recent volume
+router.get('/admin/events', adminOnly, [
+    query('type').optional().isIn(['event', 'feature']).withMessage('Type must be event or feature'),
+    query('active').optional().isBoolean(),
+    query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const type = req.query.type || 'event';
+        const days = parseInt(req.query.days) || 30;
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        const filters = { type };
+        if (req.query.active !== undefined) filters.active = req.query.active === 'true';
+
+        const [definitions, volume] = await Promise.all([
+            EventDefinition.find(filters).sort({ name: 1 }).lean(),
+            UserEngagement.getEventVolume(type, since)
+        ]);
+
+        const volumeByName = new Map(volume.map(entry => [entry._id, entry]));
+
+        res.json({
+            definitions: definitions.map(definition => ({
+                ...definition,
+                volume: volumeByName.get(definition.name)?.count || 0,
+                lastSeen: volumeByName.get(definition.name)?.lastSeen || null
+            })),
+            days,
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting event registry:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get event registry'
+        });
+    }
+});
+
+router.post('/admin/events', adminOnly, [
+    body('type').isIn(['event', 'feature']).withMessage('Type must be event or feature'),
+    body('name').matches(/^[a-z][a-z0-9_-]{1,63}$/).withMessage('Name must be 2-64 lowercase letters, digits, _ or -'),
+    body('description').optional().isString(),
+    body('owner').optional().isString(),
+    body('propertiesSchema').optional().isObject().custom(schema => {
+        const schemaError = checkPropertiesSchema(schema);
+        if (schemaError) throw new Error(`Invalid JSON schema: ${schemaError}`);
+        return true;
+    }),
+    body('mode').optional().isIn(['strict', 'lenient']).withMessage('Mode must be strict or lenient')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { type, name, description, owner, propertiesSchema, mode } = req.body;
+
+        const existingDefinition = await EventDefinition.findOne({ type, name });
+        if (existingDefinition) {
+            return res.status(409).json({
+                error: 'Event already registered',
+                message: `A ${type} with this name is already registered`
+            });
+        }
+
+        const definition = new EventDefinition({
+            type,
+            name,
+            description,
+            owner,
+            propertiesSchema,
+            mode,
+            createdBy: req.user.id
+        });
+
+        await definition.save();
+        invalidateEventRegistryCache(type);
+
+        logger.info('Event definition created', {
+            type,
+            name,
+            userId: req.user.id
+        });
+
+        res.status(201).json({
+            message: 'Event definition created successfully',
+            definition
+        });
+    } catch (error) {
+        logger.error('Error creating event definition:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create event definition'
+        });
+    }
+});
+
+// Names are immutable because stored events reference them
+router.put('/admin/events/:id', adminOnly, [
+    param('id').isMongoId().withMessage('Invalid event definition ID'),
+    body('description').optional().isString(),
+    body('owner').optional().isString(),
+    body('propertiesSchema').optional({ values: 'null' }).isObject().custom(schema => {
+        const schemaError = checkPropertiesSchema(schema);
+        if (schemaError) throw new Error(`Invalid JSON schema: ${schemaError}`);
+        return true;
+    }),
+    body('mode').optional().isIn(['strict', 'lenient']).withMessage('Mode must be strict or lenient'),
+    body('active').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const definition = await EventDefinition.findById(req.params.id);
+        if (!definition) {
+            return res.status(404).json({
+                error: 'Event definition not found',
+                message: 'Event definition not found'
+            });
+        }
+
+        const { description, owner, propertiesSchema, mode, active } = req.body;
+
+        if (description !== undefined) definition.description = description;
+        if (owner !== undefined) definition.owner = owner;
+        if (propertiesSchema !== undefined) definition.propertiesSchema = propertiesSchema || undefined;
+        if (mode !== undefined) definition.mode = mode;
+        if (active !== undefined) definition.active = active;
+        definition.updatedBy = req.user.id;
+
+        await definition.save();
+        invalidateEventRegistryCache(definition.type);
+
+        logger.info('Event definition updated', {
+            type: definition.type,
+            name: definition.name,
+            userId: req.user.id
+        });
+
+        res.json({
+            message: 'Event definition updated successfully',
+            definition
+        });
+    } catch (error) {
+        logger.error('Error updating event definition:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update event definition'
+        });
+    }
+});
+
+// Definitions are deactivated rather than removed so historical events stay valid
+router.delete('/admin/events/:id', adminOnly, [
+    param('id').isMongoId().withMessage('Invalid event definition ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const definition = await EventDefinition.findByIdAndUpdate(
+            req.params.id,
+            { active: false, updatedBy: req.user.id },
+            { new: true }
+        );
+        if (!definition) {
+            return res.status(404).json({
+                error: 'Event definition not found',
+                message: 'Event definition not found'
+            });
+        }
+
+        invalidateEventRegistryCache(definition.type);
+
+        logger.info('Event definition deactivated', {
+            type: definition.type,
+            name: definition.name,
+            userId: req.user.id
+        });
+
+        res.json({
+            message: 'Event definition deactivated successfully',
+            definition
+        });
+    } catch (error) {
+        logger.error('Error deactivating event definition:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to deactivate event definition'
+        });
+    }
+});
+
+// Marketing attribution of completed sales to UTM touchpoints
+router.get('/admin/attribution', adminOnly, [
+    query('model').optional().isIn(['first_touch', 'last_touch', 'linear', 'time_decay'])
+        .withMessage('Model must be first_touch, last_touch, linear or time_decay'),
+    query('groupBy').optional().isString()
+        .customSanitizer(value => value.split(',').map(field => field.trim()).filter(Boolean))
+        .custom(fields => fields.length > 0 && fields.every(field => ['source', 'medium', 'campaign'].includes(field)))
+        .withMessage('groupBy must list source, medium and/or campaign'),
+    query('lookbackDays').optional().isInt({ min: 1, max: 365 }).withMessage('Lookback must be between 1 and 365 days'),
+    query('halfLifeDays').optional().isFloat({ min: 0.1, max: 365 }).withMessage('Half-life must be between 0.1 and 365 days'),
+    query('currency').optional().isString(),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('includeBots').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const options = {
+            model: req.query.model || 'last_touch',
+            groupBy: req.query.groupBy || ['source', 'medium', 'campaign'],
+            lookbackDays: parseInt(req.query.lookbackDays) || 30,
+            halfLifeDays: parseFloat(req.query.halfLifeDays) || 7,
+            currency: req.query.currency,
+            startDate: req.query.startDate,
+            endDate: req.query.endDate,
+            includeBots: req.query.includeBots === 'true'
+        };
+
+        const channels = await SalesAnalytics.getAttribution(options);
+
+        res.json({
+            model: options.model,
+            groupBy: options.groupBy,
+            lookbackDays: options.lookbackDays,
+            halfLifeDays: options.model === 'time_decay' ? options.halfLifeDays : undefined,
+            channels,
+            totals: {
+                revenue: channels.reduce((sum, channel) => sum + channel.revenue, 0),
+                conversions: channels.reduce((sum, channel) => sum + channel.conversions, 0)
+            },
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting attribution report:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get attribution report'
+        });
+    }
+});
+
+// Geographic breakdown of users and events, from geo-IP enrichment at ingestion
+router.get('/admin/geo/users', adminOnly, [
+    ...geoQueryValidators,
+    query('event').optional().isString(),
+    query('feature').optional().isString(),
+    query('userPlan').optional().isIn(['free', 'basic', 'premium'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const level = req.query.level || 'country';
+        const locations = await UserEngagement.getGeoBreakdown(level, {
+            country: req.query.country,
+            region: req.query.region,
+            event: req.query.event,
+            feature: req.query.feature,
+            userPlan: req.query.userPlan,
+            startDate: req.query.startDate,
+            endDate: req.query.endDate,
+            includeBots: req.query.includeBots === 'true'
+        }, parseInt(req.query.limit) || 50);
+
+        res.json({
+            level,
+            locations,
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting geographic user breakdown:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get geographic user breakdown'
+        });
+    }
+});
+
+// Geographic breakdown of completed revenue
+router.get('/admin/geo/revenue', adminOnly, [
+    ...geoQueryValidators,
+    query('plan').optional().isIn(['free', 'basic', 'premium']),
+    query('currency').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const level = req.query.level || 'country';
+        const locations = await SalesAnalytics.getRevenueByGeo(level, {
+            country: req.query.country,
+            region: req.query.region,
+            plan: req.query.plan,
+            currency: req.query.currency,
+            startDate: req.query.startDate,
+            endDate: req.query.endDate,
+            includeBots: req.query.includeBots === 'true'
+        }, parseInt(req.query.limit) || 50);
+
+        res.json({
+            level,
+            locations,
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting geographic revenue breakdown:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get geographic revenue breakdown'
+        });
+    }
+});
+
+// Re-parse stored User-Agents of historical records in the background
+router.post('/admin/user-agents/reenrich', adminOnly, [
+    body('collections').optional().isArray({ min: 1 }),
+    body('collections.*').isIn(['engagement', 'performance', 'sales']).withMessage('Collections must be engagement, performance or sales'),
+    body('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    body('endDate').optional().isISO8601().withMessage('Invalid end date')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { collections, startDate, endDate } = req.body;
+
+        reenrichUserAgents({ collections, startDate, endDate }).catch(error => {
+            logger.error('Error re-enriching user agents:', error);
+        });
+
+        res.status(202).json({
+            message: 'User agent re-enrichment started',
+            filters: { collections, startDate, endDate }
+        });
+    } catch (error) {
+        logger.error('Error starting user agent re-enrichment:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to start user agent re-enrichment'
+        });
+    }
+});
+
 router.get('/admin/sales/stats', adminOnly, [
     query('startDate').optional().isISO8601().withMessage('Invalid start date'),
     query('endDate').optional().isISO8601().withMessage('Invalid end date'),
     query('type').optional().isString(),
     query('status').optional().isString(),
-    query('plan').optional().isString()
+    query('plan').optional().isString(),
+    query('includeBots').optional().isBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -382,14 +1016,21 @@ router.get('/admin/sales/stats', adminOnly, [
             });
         }
 
-        const filters = req.query;
-        const stats = await SalesAnalytics.getSalesStats(filters);
-        const revenueByPlan = await SalesAnalytics.getRevenueByPlan(filters);
-        const mrr = await SalesAnalytics.getMRR();
+        const { includeBots, ...filters } = req.query;
+        const statsFilters = { ...filters, includeBots: includeBots === 'true' };
+        const stats = await SalesAnalytics.getSalesStats(statsFilters);
+        const revenueByPlan = await SalesAnalytics.getRevenueByPlan(statsFilters);
+        const mrr = await SalesAnalytics.getMRR(new Date(), statsFilters);
 
         // Get payment method distribution
         const paymentMethodDistribution = await SalesAnalytics.aggregate([
-            { $match: { ...filters, status: 'completed' } },
+            {
+                $match: {
+                    ...filters,
+                    status: 'completed',
+                    ...(includeBots !== 'true' && { isBot: { $ne: true } })
+                }
+            },
             {
                 $group: {
                     _id: '$paymentMethod',
@@ -417,23 +1058,340 @@ router.get('/admin/sales/stats', adminOnly, [
     }
 });
 
+// Cohort retention table. Results are cached in Redis; pass refresh=true to recompute.
+router.get('/admin/retention', adminOnly, [
+    query('period').optional().isIn(['week', 'month']).withMessage('Period must be week or month'),
+    query('cohortEvent').optional().custom(isKnownEventName('event')).withMessage('Invalid cohort event'),
+    query('returnEvent').optional().custom(isKnownEventName('event')).withMessage('Invalid return event'),
+    query('splitBy').optional().isString()
+        .customSanitizer(value => value.split(',').map(field => field.trim()).filter(Boolean))
+        .custom(fields => fields.every(field => ['userPlan', 'utmSource'].includes(field)))
+        .withMessage('splitBy must be userPlan, utmSource or both'),
+    query('periods').optional().isInt({ min: 1, max: 52 }).withMessage('Periods must be between 1 and 52'),
+    query('userPlan').optional().isIn(['free', 'basic', 'premium']),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('includeBots').optional().isBoolean(),
+    query('refresh').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const options = {
+            period: req.query.period || 'week',
+            cohortEvent: req.query.cohortEvent || 'registration',
+            returnEvent: req.query.returnEvent,
+            splitBy: req.query.splitBy || [],
+            periods: parseInt(req.query.periods) || 12,
+            filters: {
+                userPlan: req.query.userPlan,
+                startDate: req.query.startDate,
+                endDate: req.query.endDate,
+                includeBots: req.query.includeBots === 'true'
+            }
+        };
+
+        const { result: cohorts, computedAt, cached } = await getOrCompute(
+            'retention',
+            options,
+            RETENTION_CACHE_TTL_SECONDS,
+            () => UserEngagement.getRetentionCohorts(options),
+            { refresh: req.query.refresh === 'true' }
+        );
+
+        res.json({
+            ...options,
+            returnEvent: options.returnEvent || null,
+            cohorts,
+            computedAt,
+            cached
+        });
+    } catch (error) {
+        logger.error('Error getting retention cohorts:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get retention cohorts'
+        });
+    }
+});
+
+// Aggregate navigation paths within sessions, with Sankey-ready nodes and links
+router.get('/admin/paths', adminOnly, [
+    query('by').optional().isIn(['page', 'event']).withMessage('by must be page or event'),
+    query('start').optional().isString().notEmpty(),
+    query('direction').optional().isIn(['after', 'before']).withMessage('Direction must be after or before'),
+    query('direction').if(query('direction').equals('before'))
+        .custom((value, { req }) => Boolean(req.query.start)).withMessage('start is required for direction=before'),
+    query('steps').optional().isInt({ min: 1, max: 10 }).withMessage('Steps must be between 1 and 10'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('userPlan').optional().isIn(['free', 'basic', 'premium']),
+    query('deviceType').optional().isIn(['desktop', 'mobile', 'tablet']),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('includeBots').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const options = {
+            by: req.query.by || 'page',
+            start: req.query.start,
+            direction: req.query.direction || 'after',
+            steps: parseInt(req.query.steps) || 3,
+            limit: parseInt(req.query.limit) || 10,
+            filters: {
+                userPlan: req.query.userPlan,
+                deviceType: req.query.deviceType,
+                startDate: req.query.startDate,
+                endDate: req.query.endDate,
+                includeBots: req.query.includeBots === 'true'
+            }
+        };
+
+        const paths = await UserEngagement.getPathAnalysis(options);
+
+        res.json({
+            ...paths,
+            by: options.by,
+            start: options.start || null,
+            direction: options.direction,
+            steps: options.steps,
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting path analysis:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get path analysis'
+        });
+    }
+});
+
+// Funnel analysis over engagement events, either ad hoc (steps) or from a saved definition (funnel)
+router.post('/funnels', adminOnly, [
+    body('funnel').optional().isString(),
+    body('steps').if(body('funnel').not().exists())
+        .isArray({ min: 2, max: 10 }).withMessage('Between 2 and 10 steps are required'),
+    ...funnelStepValidators,
+    body('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    body('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    body('includeBots').optional().isBoolean().toBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        let definition = {
+            steps: req.body.steps,
+            conversionWindowHours: req.body.conversionWindowHours,
+            filters: {}
+        };
+
+        if (req.body.funnel) {
+            const savedFunnel = await Funnel.findOne({ key: req.body.funnel }).lean();
+            if (!savedFunnel) {
+                return res.status(404).json({
+                    error: 'Funnel not found',
+                    message: 'No saved funnel exists with this key'
+                });
+            }
+            definition = {
+                steps: req.body.steps || savedFunnel.steps,
+                conversionWindowHours: req.body.conversionWindowHours || savedFunnel.conversionWindowHours,
+                filters: savedFunnel.filters || {}
+            };
+        }
+
+        const conversionWindowHours = parseFloat(definition.conversionWindowHours) || 24 * 7;
+        const filters = {
+            userPlan: req.body.userPlan || definition.filters.userPlan,
+            deviceType: req.body.deviceType || definition.filters.deviceType,
+            startDate: req.body.startDate,
+            endDate: req.body.endDate,
+            includeBots: req.body.includeBots || false
+        };
+
+        const steps = await UserEngagement.getFunnel(
+            definition.steps,
+            conversionWindowHours * 60 * 60 * 1000,
+            filters
+        );
+
+        res.json({
+            funnel: req.body.funnel || null,
+            conversionWindowHours,
+            steps,
+            overallConversion: steps[steps.length - 1].conversionFromStart,
+            filters
+        });
+    } catch (error) {
+        logger.error('Error computing funnel:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to compute funnel'
+        });
+    }
+});
+
+// List saved funnel definitions
+router.get('/funnels/definitions', adminOnly, async (req, res) => {
+    try {
+        const funnels = await Funnel.find()
+            .sort({ name: 1 })
+            .lean();
+
+        res.json({
+            funnels
+        });
+    } catch (error) {
+        logger.error('Error getting funnel definitions:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get funnel definitions'
+        });
+    }
+});
+
+// Save a funnel definition
+router.post('/funnels/definitions', adminOnly, [
+    body('key').isString().trim().notEmpty().withMessage('Funnel key is required'),
+    body('name').isString().notEmpty().withMessage('Funnel name is required'),
+    body('description').optional().isString(),
+    body('steps').isArray({ min: 2, max: 10 }).withMessage('Between 2 and 10 steps are required'),
+    ...funnelStepValidators
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { key, name, description, steps, conversionWindowHours, userPlan, deviceType } = req.body;
+
+        const existingFunnel = await Funnel.findOne({ key });
+        if (existingFunnel) {
+            return res.status(409).json({
+                error: 'Funnel already exists',
+                message: 'A funnel with this key already exists'
+            });
+        }
+
+        const funnel = new Funnel({
+            key,
+            name,
+            description,
+            steps,
+            conversionWindowHours,
+            filters: { userPlan, deviceType },
+            createdBy: req.user.id
+        });
+
+        await funnel.save();
+
+        logger.info('Funnel definition saved', {
+            key,
+            steps: steps.length,
+            userId: req.user.id
+        });
+
+        res.status(201).json({
+            message: 'Funnel saved successfully',
+            funnel
+        });
+    } catch (error) {
+        logger.error('Error saving funnel definition:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to save funnel definition'
+        });
+    }
+});
+
+// Delete a saved funnel definition
+router.delete('/funnels/definitions/:key', adminOnly, [
+    param('key').isString().notEmpty()
+], async (req, res) => {
+    try {
+        const funnel = await Funnel.findOneAndDelete({ key: req.params.key });
+
+        if (!funnel) {
+            return res.status(404).json({
+                error: 'Funnel not found',
+                message: 'No saved funnel exists with this key'
+            });
+        }
+
+        logger.info('Funnel definition deleted', {
+            key: req.params.key,
+            userId: req.user.id
+        });
+
+        res.json({
+            message: 'Funnel deleted successfully'
+        });
+    } catch (error) {
+        logger.error('Error deleting funnel definition:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to delete funnel definition'
+        });
+    }
+});
+
 // Helper functions
-function extractBrowser(userAgent) {
-    if (userAgent.includes('Chrome')) return 'Chrome';
-    if (userAgent.includes('Firefox')) return 'Firefox';
-    if (userAgent.includes('Safari')) return 'Safari';
-    if (userAgent.includes('Edge')) return 'Edge';
-    if (userAgent.includes('Opera')) return 'Opera';
-    return 'Unknown';
-}
+async function findSessions(filters) {
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 20;
+
+    const query = {};
+    if (filters.userId) query.userId = filters.userId;
+    if (filters.userPlan) query.userPlan = filters.userPlan;
+    if (filters.deviceType) query.deviceType = filters.deviceType;
+    if (filters.bounce !== undefined) query.bounce = filters.bounce === 'true';
+    if (filters.includeBots !== 'true') query.isBot = { $ne: true };
+    if (filters.startDate || filters.endDate) {
+        query.startedAt = {};
+        if (filters.startDate) query.startedAt.$gte = new Date(filters.startDate);
+        if (filters.endDate) query.startedAt.$lte = new Date(filters.endDate);
+    }
+
+    const sessions = await UserSession.find(query)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
 
-function extractOS(userAgent) {
-    if (userAgent.includes('Windows')) return 'Windows';
-    if (userAgent.includes('Mac OS')) return 'macOS';
-    if (userAgent.includes('Linux')) return 'Linux';
-    if (userAgent.includes('Android')) return 'Android';
-    if (userAgent.includes('iOS')) return 'iOS';
-    return 'Unknown';
+    const total = await UserSession.countDocuments(query);
+
+    return {
+        sessions,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
 }
 
 module.exports = router; 
\ No newline at end of file
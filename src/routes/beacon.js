@@ -0,0 +1,251 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const UserEngagement = require('../models/UserEngagement');
+const { updateEngagementMetrics } = require('../utils/prometheus');
+const { parseUserAgent } = require('../utils/userAgent');
+const { resolveIpMetadata } = require('../utils/geoip');
+const { classifyEngagement, flagBotSession } = require('../utils/botDetection');
+const logger = require('../utils/logger');
+const { isIngestionEnabled, issueAnonymousIngestionToken } = require('../utils/ingestionToken');
+const { isStitchingEvent, stitchAnonymousHistory } = require('../utils/identity');
+const { isActiveEventName, validateEventProperties } = require('../utils/eventRegistry');
+const { ingestionAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_EVENTS = parseInt(process.env.BEACON_MAX_EVENTS) || 100;
+// Client clocks are trusted within this range; events outside it are rejected
+const MAX_EVENT_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const eventValidators = [
+    body('event').custom(isActiveEventName('event')).withMessage('Invalid event type'),
+    body('sessionId').optional().isString().notEmpty(),
+    body('page').optional().isString().isLength({ max: 2048 }),
+    body('feature').optional().custom(isActiveEventName('feature')).withMessage('Invalid feature'),
+    body('value').optional().isNumeric(),
+    body('properties').optional().isObject(),
+    body('timestamp').optional().custom(value => {
+        const timestamp = new Date(value);
+        if (isNaN(timestamp.getTime())) throw new Error('Invalid timestamp');
+        const now = Date.now();
+        if (timestamp < now - MAX_EVENT_AGE_MS || timestamp > now + MAX_CLOCK_SKEW_MS) {
+            throw new Error('Timestamp is outside the accepted range');
+        }
+        return true;
+    }),
+    body('metadata').optional().isObject(),
+    body('metadata.timeOnPage').optional().isFloat({ min: 0 }),
+    body('metadata.scrollDepth').optional().isFloat({ min: 0, max: 100 }),
+    body('metadata.clicks').optional().isInt({ min: 0 }),
+    body('metadata.formInteractions').optional().isInt({ min: 0 }),
+    body('metadata.screenResolution').optional().isString(),
+    body('metadata.referrer').optional().isString(),
+    body('metadata.utmSource').optional().isString(),
+    body('metadata.utmMedium').optional().isString(),
+    body('metadata.utmCampaign').optional().isString()
+];
+
+// navigator.sendBeacon posts text/plain, so parse the JSON payload ourselves
+const parseBeaconBody = (req, res, next) => {
+    if (typeof req.body !== 'string') return next();
+
+    try {
+        req.body = JSON.parse(req.body);
+        next();
+    } catch (error) {
+        res.status(400).json({
+            error: 'Invalid payload',
+            message: 'Beacon body must be JSON'
+        });
+    }
+};
+
+// Issue an ingestion token for a visitor who has not logged in yet
+router.post('/token', [
+    body('anonymousId').matches(/^[A-Za-z0-9_-]{8,128}$/).withMessage('Invalid anonymous ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        if (!isIngestionEnabled()) {
+            return res.status(503).json({
+                error: 'Ingestion disabled',
+                message: 'Beacon ingestion is not configured'
+            });
+        }
+
+        const { token, expiresAt } = issueAnonymousIngestionToken(req.body.anonymousId);
+
+        res.status(201).json({
+            token,
+            expiresAt
+        });
+    } catch (error) {
+        logger.error('Error issuing anonymous ingestion token:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to issue ingestion token'
+        });
+    }
+});
+
+// Batch ingestion of engagement events, authenticated with an ingestion token.
+// With a user token, `anonymousId` links the visitor's earlier anonymous events to the
+// user when the batch contains a login or registration event.
+router.post('/engagement', express.text({ type: 'text/plain', limit: '256kb' }), parseBeaconBody, ingestionAuth, [
+    body('sessionId').optional().isString().notEmpty(),
+    body('anonymousId').optional().matches(/^[A-Za-z0-9_-]{8,128}$/).withMessage('Invalid anonymous ID'),
+    body('events').isArray({ min: 1, max: MAX_EVENTS }).withMessage(`Between 1 and ${MAX_EVENTS} events are required`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const userAgent = req.get('User-Agent') || '';
+        const { isBot: isBotUserAgent, ...device } = parseUserAgent(userAgent);
+        const { deviceType } = device;
+        const ipMetadata = resolveIpMetadata(req.ip);
+        const userPlan = req.user.plan || 'free';
+        const anonymousId = req.user.anonymousId || req.body.anonymousId;
+
+        const documents = [];
+        const rejected = [];
+        const botSessions = new Map();
+
+        for (const [index, event] of req.body.events.entries()) {
+            const eventErrors = await validateEvent(event);
+            const sessionId = event?.sessionId || req.body.sessionId;
+
+            if (eventErrors.length === 0 && !sessionId) {
+                eventErrors.push({ msg: 'Session ID is required', path: 'sessionId' });
+            }
+            if (eventErrors.length > 0) {
+                rejected.push({ index, details: eventErrors });
+                continue;
+            }
+
+            const schemaCheck = await validateEventProperties(event.event, event.properties || {});
+            if (!schemaCheck.valid) {
+                updateEngagementMetrics.incrementSchemaViolation(event.event, schemaCheck.mode);
+                if (schemaCheck.mode === 'strict') {
+                    rejected.push({ index, details: schemaCheck.errors.map(msg => ({ msg, path: 'properties' })) });
+                    continue;
+                }
+            }
+
+            const metadata = event.metadata || {};
+            const timestamp = event.timestamp ? new Date(event.timestamp) : new Date();
+            const botCheck = await classifyEngagement({
+                isBotUserAgent,
+                ipAddress: req.ip,
+                userId: req.user.id,
+                anonymousId,
+                sessionId,
+                event: event.event,
+                timestamp,
+                scrollDepth: metadata.scrollDepth || 0
+            });
+            if (botCheck.sessionReasons.length > 0) {
+                botSessions.set(sessionId, [...(botSessions.get(sessionId) || []), ...botCheck.sessionReasons]);
+            }
+
+            documents.push({
+                userId: req.user.id || undefined,
+                anonymousId,
+                sessionId,
+                event: event.event,
+                page: event.page,
+                feature: event.feature,
+                value: event.value || 0,
+                properties: event.properties || {},
+                schemaErrors: schemaCheck.valid ? undefined : schemaCheck.errors,
+                isBot: botCheck.isBot,
+                botReasons: botCheck.isBot ? botCheck.botReasons : undefined,
+                userPlan,
+                timestamp,
+                metadata: {
+                    userAgent,
+                    ...ipMetadata,
+                    referrer: metadata.referrer || req.get('Referrer'),
+                    utmSource: metadata.utmSource,
+                    utmMedium: metadata.utmMedium,
+                    utmCampaign: metadata.utmCampaign,
+                    ...device,
+                    screenResolution: metadata.screenResolution,
+                    timeOnPage: metadata.timeOnPage || 0,
+                    scrollDepth: metadata.scrollDepth || 0,
+                    clicks: metadata.clicks || 0,
+                    formInteractions: metadata.formInteractions || 0
+                }
+            });
+        }
+
+        if (documents.length > 0) {
+            await UserEngagement.insertMany(documents, { ordered: false });
+
+            // Behavioral thresholds crossed mid-batch also flag the batch's earlier events
+            for (const [sessionId, reasons] of botSessions) {
+                await flagBotSession({ userId: req.user.id, anonymousId, sessionId }, reasons);
+            }
+
+            for (const document of documents) {
+                if (document.isBot) {
+                    updateEngagementMetrics.incrementBotEvent(document.event, document.botReasons[0]);
+                } else {
+                    updateEngagementMetrics.incrementEvent(document.event, document.feature, userPlan, deviceType);
+                }
+            }
+
+            const linkEvent = req.user.id && anonymousId && documents.find(document => isStitchingEvent(document.event));
+            if (linkEvent) {
+                await stitchAnonymousHistory(anonymousId, req.user.id, linkEvent.event, linkEvent.timestamp);
+            }
+        }
+
+        logger.info('Beacon events ingested', {
+            userId: req.user.id,
+            anonymous: !req.user.id,
+            accepted: documents.length,
+            rejected: rejected.length
+        });
+
+        res.status(202).json({
+            accepted: documents.length,
+            rejected: rejected.length,
+            errors: rejected
+        });
+    } catch (error) {
+        logger.error('Error ingesting beacon events:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to ingest beacon events'
+        });
+    }
+});
+
+// Helper functions
+async function validateEvent(event) {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+        return [{ msg: 'Event must be an object' }];
+    }
+
+    const eventReq = { body: event };
+    for (const validator of eventValidators) {
+        await validator.run(eventReq);
+    }
+    return validationResult(eventReq).array();
+}
+
+module.exports = router;
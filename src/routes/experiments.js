@@ -0,0 +1,324 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Experiment = require('../models/Experiment');
+const AIRequest = require('../models/AIRequest');
+const UserEngagement = require('../models/UserEngagement');
+const { meanConfidenceInterval, proportionConfidenceInterval } = require('../utils/statistics');
+const logger = require('../utils/logger');
+const { adminOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+const variantValidators = [
+    body('variants').isArray({ min: 2 }).withMessage('At least two variants are required'),
+    body('variants.*.key').isString().trim().notEmpty().withMessage('Variant key is required'),
+    body('variants.*.description').optional().isString(),
+    body('variants.*.model').optional().isString(),
+    body('variants.*.promptTemplate').optional().isString(),
+    body('variants.*.weight').optional().isFloat({ min: 0, max: 100 })
+];
+
+// List experiments
+router.get('/', [
+    query('active').optional().isBoolean(),
+    query('feature').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const filters = {};
+        if (req.query.feature) filters.feature = req.query.feature;
+        if (req.query.active === 'true') {
+            const now = new Date();
+            filters.startDate = { $lte: now };
+            filters.$or = [{ endDate: null }, { endDate: { $gt: now } }];
+        }
+
+        const experiments = await Experiment.find(filters)
+            .sort({ startDate: -1 })
+            .lean();
+
+        res.json({
+            experiments,
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting experiments:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get experiments'
+        });
+    }
+});
+
+// Create an experiment definition
+router.post('/', adminOnly, [
+    body('key').isString().trim().notEmpty().withMessage('Experiment key is required'),
+    body('name').isString().notEmpty().withMessage('Experiment name is required'),
+    body('description').optional().isString(),
+    body('feature').optional().isString(),
+    body('startDate').isISO8601().withMessage('Invalid start date'),
+    body('endDate').optional({ values: 'null' }).isISO8601().withMessage('Invalid end date'),
+    ...variantValidators
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const { key, name, description, feature, startDate, endDate, variants } = req.body;
+
+        const existingExperiment = await Experiment.findOne({ key });
+        if (existingExperiment) {
+            return res.status(409).json({
+                error: 'Experiment already exists',
+                message: 'An experiment with this key already exists'
+            });
+        }
+
+        const experiment = new Experiment({
+            key,
+            name,
+            description,
+            feature,
+            startDate,
+            endDate,
+            variants,
+            createdBy: req.user.id
+        });
+
+        await experiment.save();
+
+        logger.info('Experiment created', {
+            key,
+            variants: variants.map(variant => variant.key),
+            userId: req.user.id
+        });
+
+        res.status(201).json({
+            message: 'Experiment created successfully',
+            experiment
+        });
+    } catch (error) {
+        logger.error('Error creating experiment:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to create experiment'
+        });
+    }
+});
+
+// Update an experiment definition
+router.put('/:key', adminOnly, [
+    param('key').isString().notEmpty(),
+    body('name').optional().isString().notEmpty(),
+    body('description').optional().isString(),
+    body('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    body('endDate').optional({ values: 'null' }).isISO8601().withMessage('Invalid end date'),
+    body('variants').optional().isArray({ min: 2 }).withMessage('At least two variants are required'),
+    body('variants.*.key').isString().trim().notEmpty().withMessage('Variant key is required'),
+    body('variants.*.weight').optional().isFloat({ min: 0, max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const experiment = await Experiment.findOne({ key: req.params.key });
+        if (!experiment) {
+            return res.status(404).json({
+                error: 'Experiment not found',
+                message: 'Experiment not found'
+            });
+        }
+
+        const { name, description, startDate, endDate, variants } = req.body;
+        if (name) experiment.name = name;
+        if (description !== undefined) experiment.description = description;
+        if (startDate) experiment.startDate = startDate;
+        if (endDate !== undefined) experiment.endDate = endDate;
+        if (variants) experiment.variants = variants;
+        experiment.updatedBy = req.user.id;
+
+        await experiment.save();
+
+        logger.info('Experiment updated', {
+            key: experiment.key,
+            userId: req.user.id
+        });
+
+        res.json({
+            message: 'Experiment updated successfully',
+            experiment
+        });
+    } catch (error) {
+        logger.error('Error updating experiment:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update experiment'
+        });
+    }
+});
+
+// Compare variants on cost, latency, failure rate and downstream engagement
+router.get('/:key/comparison', adminOnly, [
+    param('key').isString().notEmpty(),
+    query('engagementEvent').optional().isString(),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('includeBots').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const experiment = await Experiment.findOne({ key: req.params.key }).lean();
+        if (!experiment) {
+            return res.status(404).json({
+                error: 'Experiment not found',
+                message: 'Experiment not found'
+            });
+        }
+
+        const startDate = req.query.startDate ? new Date(req.query.startDate) : experiment.startDate;
+        const endDate = req.query.endDate
+            ? new Date(req.query.endDate)
+            : (experiment.endDate && experiment.endDate < new Date() ? experiment.endDate : new Date());
+        const engagementEvent = req.query.engagementEvent || 'subscription_upgrade';
+        const includeBots = req.query.includeBots === 'true';
+
+        const variants = [];
+        for (const variant of experiment.variants) {
+            const stats = await AIRequest.getStats({
+                experimentKey: experiment.key,
+                variant: variant.key,
+                startDate,
+                endDate
+            });
+            const engagement = await getVariantEngagement(experiment.key, variant.key, startDate, endDate, engagementEvent, includeBots);
+            const failures = stats.failureCount + (stats.timeoutCount || 0);
+
+            variants.push({
+                variant: variant.key,
+                model: variant.model,
+                requests: stats.totalRequests,
+                cost: {
+                    total: stats.totalCost,
+                    mean: stats.avgCost,
+                    ci95: meanConfidenceInterval(stats.avgCost, stats.costStdDev, stats.totalRequests)
+                },
+                latency: {
+                    mean: stats.avgDuration,
+                    ...stats.duration,
+                    ci95: meanConfidenceInterval(stats.avgDuration, stats.durationStdDev, stats.durationCount)
+                },
+                failureRate: {
+                    value: stats.totalRequests > 0 ? (failures / stats.totalRequests) * 100 : 0,
+                    ci95: proportionConfidenceInterval(failures, stats.totalRequests)
+                },
+                engagement
+            });
+        }
+
+        res.json({
+            experiment: {
+                key: experiment.key,
+                name: experiment.name,
+                feature: experiment.feature,
+                startDate: experiment.startDate,
+                endDate: experiment.endDate
+            },
+            window: { startDate, endDate },
+            engagementEvent,
+            includeBots,
+            variants
+        });
+    } catch (error) {
+        logger.error('Error getting experiment comparison:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get experiment comparison'
+        });
+    }
+});
+
+// Helper functions
+
+// Downstream engagement of the users exposed to a variant: a user converts when they
+// trigger `engagementEvent` after their first request in the variant. Bot events are
+// ignored unless includeBots is set.
+async function getVariantEngagement(experimentKey, variantKey, startDate, endDate, engagementEvent, includeBots = false) {
+    const exposures = await AIRequest.aggregate([
+        {
+            $match: {
+                'experiment.key': experimentKey,
+                'experiment.variant': variantKey,
+                createdAt: { $gte: startDate, $lte: endDate }
+            }
+        },
+        { $group: { _id: '$userId', firstExposure: { $min: '$createdAt' } } }
+    ]);
+
+    if (exposures.length === 0) {
+        return { exposedUsers: 0, convertedUsers: 0, conversionRate: 0, ci95: null, eventsPerUser: 0 };
+    }
+
+    const events = await UserEngagement.aggregate([
+        {
+            $match: {
+                userId: { $in: exposures.map(exposure => exposure._id) },
+                timestamp: { $gte: startDate, $lte: endDate },
+                ...(!includeBots && { isBot: { $ne: true } })
+            }
+        },
+        {
+            $group: {
+                _id: '$userId',
+                events: { $sum: 1 },
+                lastConversion: {
+                    $max: { $cond: [{ $eq: ['$event', engagementEvent] }, '$timestamp', null] }
+                }
+            }
+        }
+    ]);
+
+    const firstExposureByUser = new Map(exposures.map(exposure => [String(exposure._id), exposure.firstExposure]));
+    let convertedUsers = 0;
+    let totalEvents = 0;
+    for (const userEvents of events) {
+        totalEvents += userEvents.events;
+        const firstExposure = firstExposureByUser.get(String(userEvents._id));
+        if (userEvents.lastConversion && userEvents.lastConversion >= firstExposure) {
+            convertedUsers++;
+        }
+    }
+
+    return {
+        exposedUsers: exposures.length,
+        convertedUsers,
+        conversionRate: (convertedUsers / exposures.length) * 100,
+        ci95: proportionConfidenceInterval(convertedUsers, exposures.length),
+        eventsPerUser: totalEvents / exposures.length
+    };
+}
+
+module.exports = router;
@@ -9,11 +9,25 @@ const { adminOnly } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Bot traffic is excluded from engagement, sales and performance metrics unless requested
+const botMatch = includeBots => (includeBots ? {} : { isBot: { $ne: true } });
+
 // Get dashboard overview metrics
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', [
+    query('includeBots').optional().isBoolean()
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
         const userId = req.user?.id;
         const isAdmin = req.user?.role === 'admin';
+        const includeBots = req.query.includeBots === 'true';
 
         // Get date range (last 30 days by default)
         const endDate = new Date();
@@ -29,18 +43,19 @@ router.get('/dashboard', async (req, res) => {
         const aiStats = await AIRequest.getStats(isAdmin ? filters : { ...filters, userId });
 
         // Get user engagement metrics
-        const engagementStats = await UserEngagement.getEngagementStats(isAdmin ? filters : { ...filters, userId });
+        const trafficFilters = { ...filters, includeBots };
+        const engagementStats = await UserEngagement.getEngagementStats(isAdmin ? trafficFilters : { ...trafficFilters, userId });
 
         // Get sales metrics (admin only or user's own)
         let salesStats = null;
         if (isAdmin) {
-            salesStats = await SalesAnalytics.getSalesStats(filters);
+            salesStats = await SalesAnalytics.getSalesStats(trafficFilters);
         } else if (userId) {
-            salesStats = await SalesAnalytics.getSalesStats({ ...filters, userId });
+            salesStats = await SalesAnalytics.getSalesStats({ ...trafficFilters, userId });
         }
 
         // Get performance metrics
-        const performanceStats = await PerformanceMetrics.getPerformanceStats(isAdmin ? filters : { ...filters, userId });
+        const performanceStats = await PerformanceMetrics.getPerformanceStats(isAdmin ? trafficFilters : { ...trafficFilters, userId });
 
         // Calculate key performance indicators
         const kpis = {
@@ -93,7 +108,8 @@ router.get('/dashboard', async (req, res) => {
 router.get('/summary', [
     query('startDate').optional().isISO8601().withMessage('Invalid start date'),
     query('endDate').optional().isISO8601().withMessage('Invalid end date'),
-    query('groupBy').optional().isIn(['hour', 'day', 'week', 'month']).withMessage('Invalid group by option')
+    query('groupBy').optional().isIn(['hour', 'day', 'week', 'month']).withMessage('Invalid group by option'),
+    query('includeBots').optional().isBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -124,7 +140,8 @@ router.get('/summary', [
         // Get time series data
         const timeSeriesData = await getTimeSeriesData(
             isAdmin ? filters : { ...filters, userId },
-            groupBy
+            groupBy,
+            req.query.includeBots === 'true'
         );
 
         res.json({
@@ -147,7 +164,8 @@ router.get('/summary', [
 // Get top metrics (most used features, popular models, etc.)
 router.get('/top-metrics', [
     query('metric').isIn(['ai-models', 'features', 'endpoints', 'users', 'revenue']).withMessage('Invalid metric type'),
-    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('includeBots').optional().isBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -162,6 +180,7 @@ router.get('/top-metrics', [
         const isAdmin = req.user?.role === 'admin';
         const metric = req.query.metric;
         const limit = parseInt(req.query.limit) || 10;
+        const includeBots = req.query.includeBots === 'true';
 
         let topMetrics = [];
 
@@ -170,10 +189,10 @@ router.get('/top-metrics', [
                 topMetrics = await getTopAIModels(isAdmin ? {} : { userId }, limit);
                 break;
             case 'features':
-                topMetrics = await getTopFeatures(isAdmin ? {} : { userId }, limit);
+                topMetrics = await getTopFeatures(isAdmin ? {} : { userId }, limit, includeBots);
                 break;
             case 'endpoints':
-                topMetrics = await getTopEndpoints(isAdmin ? {} : { userId }, limit);
+                topMetrics = await getTopEndpoints(isAdmin ? {} : { userId }, limit, includeBots);
                 break;
             case 'users':
                 if (!isAdmin) {
@@ -182,7 +201,7 @@ router.get('/top-metrics', [
                         message: 'Admin privileges required for user metrics'
                     });
                 }
-                topMetrics = await getTopUsers(limit);
+                topMetrics = await getTopUsers(limit, includeBots);
                 break;
             case 'revenue':
                 if (!isAdmin) {
@@ -191,7 +210,7 @@ router.get('/top-metrics', [
                         message: 'Admin privileges required for revenue metrics'
                     });
                 }
-                topMetrics = await getTopRevenue(limit);
+                topMetrics = await getTopRevenue(limit, includeBots);
                 break;
         }
 
@@ -215,7 +234,8 @@ router.get('/comparison', [
     query('currentStart').isISO8601().withMessage('Invalid current start date'),
     query('currentEnd').isISO8601().withMessage('Invalid current end date'),
     query('previousStart').isISO8601().withMessage('Invalid previous start date'),
-    query('previousEnd').isISO8601().withMessage('Invalid previous end date')
+    query('previousEnd').isISO8601().withMessage('Invalid previous end date'),
+    query('includeBots').optional().isBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -240,6 +260,12 @@ router.get('/comparison', [
             endDate: req.query.previousEnd
         };
 
+        // AI requests carry no bot classification
+        if (metric !== 'ai-requests') {
+            currentFilters.includeBots = req.query.includeBots === 'true';
+            previousFilters.includeBots = currentFilters.includeBots;
+        }
+
         let currentData, previousData;
 
         switch (metric) {
@@ -290,7 +316,7 @@ router.get('/comparison', [
 });
 
 // Helper functions
-async function getTimeSeriesData(filters, groupBy) {
+async function getTimeSeriesData(filters, groupBy, includeBots = false) {
     const dateFormat = {
         hour: '%Y-%m-%d %H:00:00',
         day: '%Y-%m-%d',
@@ -317,7 +343,7 @@ async function getTimeSeriesData(filters, groupBy) {
     ]);
 
     const engagement = await UserEngagement.aggregate([
-        { $match: filters },
+        { $match: { ...filters, ...botMatch(includeBots) } },
         {
             $group: {
                 _id: {
@@ -362,9 +388,9 @@ async function getTopAIModels(filters, limit) {
     ]);
 }
 
-async function getTopFeatures(filters, limit) {
+async function getTopFeatures(filters, limit, includeBots = false) {
     return await UserEngagement.aggregate([
-        { $match: { ...filters, feature: { $exists: true, $ne: null } } },
+        { $match: { ...filters, feature: { $exists: true, $ne: null }, ...botMatch(includeBots) } },
         {
             $group: {
                 _id: '$feature',
@@ -384,9 +410,9 @@ async function getTopFeatures(filters, limit) {
     ]);
 }
 
-async function getTopEndpoints(filters, limit) {
+async function getTopEndpoints(filters, limit, includeBots = false) {
     return await PerformanceMetrics.aggregate([
-        { $match: filters },
+        { $match: { ...filters, ...botMatch(includeBots) } },
         {
             $group: {
                 _id: {
@@ -422,8 +448,9 @@ async function getTopEndpoints(filters, limit) {
     ]);
 }
 
-async function getTopUsers(limit) {
+async function getTopUsers(limit, includeBots = false) {
     return await UserEngagement.aggregate([
+        { $match: botMatch(includeBots) },
         {
             $group: {
                 _id: '$userId',
@@ -436,9 +463,9 @@ async function getTopUsers(limit) {
     ]);
 }
 
-async function getTopRevenue(limit) {
+async function getTopRevenue(limit, includeBots = false) {
     return await SalesAnalytics.aggregate([
-        { $match: { status: 'completed' } },
+        { $match: { status: 'completed', ...botMatch(includeBots) } },
         {
             $group: {
                 _id: '$userId',
@@ -2,6 +2,9 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const PerformanceMetrics = require('../models/PerformanceMetrics');
 const { updatePerformanceMetrics } = require('../utils/prometheus');
+const { parseUserAgent } = require('../utils/userAgent');
+const { GEO_LEVELS, resolveIpMetadata } = require('../utils/geoip');
+const { classifyRequest } = require('../utils/botDetection');
 const logger = require('../utils/logger');
 const { adminOnly } = require('../middleware/auth');
 const os = require('os');
@@ -45,6 +48,9 @@ router.post('/track', [
             cache
         } = req.body;
 
+        const { isBot: isBotUserAgent, ...device } = parseUserAgent(req.get('User-Agent'));
+        const botCheck = classifyRequest({ isBotUserAgent, ipAddress: req.ip });
+
         const performanceMetric = new PerformanceMetrics({
             service,
             endpoint,
@@ -59,15 +65,15 @@ router.post('/track', [
             system: system || getSystemMetrics(),
             database,
             cache,
+            isBot: botCheck.isBot,
+            botReasons: botCheck.isBot ? botCheck.botReasons : undefined,
             metadata: {
                 userAgent: req.get('User-Agent'),
-                ipAddress: req.ip,
+                ...resolveIpMetadata(req.ip),
                 userPlan: req.user?.plan || 'free',
                 region: req.headers['x-region'],
                 timezone: req.headers['x-timezone'],
-                browser: extractBrowser(req.get('User-Agent')),
-                os: extractOS(req.get('User-Agent')),
-                deviceType: extractDeviceType(req.get('User-Agent'))
+                ...device
             }
         });
 
@@ -122,7 +128,8 @@ router.get('/stats', [
     query('service').optional().isString(),
     query('endpoint').optional().isString(),
     query('method').optional().isString(),
-    query('statusCode').optional().isInt()
+    query('statusCode').optional().isInt(),
+    query('includeBots').optional().isBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -135,7 +142,8 @@ router.get('/stats', [
 
         const filters = {
             userId: req.user?.id,
-            ...req.query
+            ...req.query,
+            includeBots: req.query.includeBots === 'true'
         };
 
         const stats = await PerformanceMetrics.getPerformanceStats(filters);
@@ -158,7 +166,8 @@ router.get('/slowest-endpoints', [
     query('startDate').optional().isISO8601().withMessage('Invalid start date'),
     query('endDate').optional().isISO8601().withMessage('Invalid end date'),
     query('service').optional().isString(),
-    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('includeBots').optional().isBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -169,7 +178,7 @@ router.get('/slowest-endpoints', [
             });
         }
 
-        const filters = req.query;
+        const filters = { ...req.query, includeBots: req.query.includeBots === 'true' };
         const limit = parseInt(req.query.limit) || 10;
         const slowestEndpoints = await PerformanceMetrics.getSlowestEndpoints(filters, limit);
 
@@ -190,7 +199,8 @@ router.get('/slowest-endpoints', [
 router.get('/error-rates', [
     query('startDate').optional().isISO8601().withMessage('Invalid start date'),
     query('endDate').optional().isISO8601().withMessage('Invalid end date'),
-    query('service').optional().isString()
+    query('service').optional().isString(),
+    query('includeBots').optional().isBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -201,7 +211,7 @@ router.get('/error-rates', [
             });
         }
 
-        const filters = req.query;
+        const filters = { ...req.query, includeBots: req.query.includeBots === 'true' };
         const errorRates = await PerformanceMetrics.getErrorRates(filters);
 
         res.json({
@@ -221,7 +231,8 @@ router.get('/error-rates', [
 router.get('/system-resources', [
     query('startDate').optional().isISO8601().withMessage('Invalid start date'),
     query('endDate').optional().isISO8601().withMessage('Invalid end date'),
-    query('service').optional().isString()
+    query('service').optional().isString(),
+    query('includeBots').optional().isBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -232,7 +243,7 @@ router.get('/system-resources', [
             });
         }
 
-        const filters = req.query;
+        const filters = { ...req.query, includeBots: req.query.includeBots === 'true' };
         const systemResources = await PerformanceMetrics.getSystemResources(filters);
 
         res.json({
@@ -273,7 +284,8 @@ router.get('/admin/stats', adminOnly, [
     query('service').optional().isString(),
     query('endpoint').optional().isString(),
     query('method').optional().isString(),
-    query('statusCode').optional().isInt()
+    query('statusCode').optional().isInt(),
+    query('includeBots').optional().isBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -284,15 +296,16 @@ router.get('/admin/stats', adminOnly, [
             });
         }
 
-        const filters = req.query;
-        const stats = await PerformanceMetrics.getPerformanceStats(filters);
-        const slowestEndpoints = await PerformanceMetrics.getSlowestEndpoints(filters, 10);
-        const errorRates = await PerformanceMetrics.getErrorRates(filters);
-        const systemResources = await PerformanceMetrics.getSystemResources(filters);
+        const { includeBots, ...filters } = req.query;
+        const statsFilters = { ...filters, includeBots: includeBots === 'true' };
+        const stats = await PerformanceMetrics.getPerformanceStats(statsFilters);
+        const slowestEndpoints = await PerformanceMetrics.getSlowestEndpoints(statsFilters, 10);
+        const errorRates = await PerformanceMetrics.getErrorRates(statsFilters);
+        const systemResources = await PerformanceMetrics.getSystemResources(statsFilters);
 
         // Get service performance comparison
         const servicePerformance = await PerformanceMetrics.aggregate([
-            { $match: filters },
+            { $match: includeBots === 'true' ? filters : { ...filters, isBot: { $ne: true } } },
             {
                 $group: {
                     _id: '$service',
@@ -344,7 +357,8 @@ router.get('/admin/stats', adminOnly, [
 // Get performance alerts (endpoints with high error rates or slow response times)
 router.get('/admin/alerts', adminOnly, [
     query('errorRateThreshold').optional().isFloat({ min: 0, max: 100 }).withMessage('Error rate threshold must be between 0 and 100'),
-    query('responseTimeThreshold').optional().isFloat({ min: 0 }).withMessage('Response time threshold must be positive')
+    query('responseTimeThreshold').optional().isFloat({ min: 0 }).withMessage('Response time threshold must be positive'),
+    query('includeBots').optional().isBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -360,6 +374,7 @@ router.get('/admin/alerts', adminOnly, [
 
         // Get endpoints with high error rates
         const highErrorEndpoints = await PerformanceMetrics.aggregate([
+            { $match: req.query.includeBots === 'true' ? {} : { isBot: { $ne: true } } },
             {
                 $group: {
                     _id: {
@@ -417,6 +432,54 @@ router.get('/admin/alerts', adminOnly, [
     }
 });
 
+// Geographic breakdown of request latency, from geo-IP enrichment at ingestion
+router.get('/admin/geo/latency', adminOnly, [
+    query('level').optional().isIn(GEO_LEVELS).withMessage('Level must be country, region or city'),
+    query('country').optional().isISO31661Alpha2().withMessage('Country must be an ISO 3166-1 alpha-2 code').toUpperCase(),
+    query('region').optional().isString().notEmpty(),
+    query('service').optional().isIn(['auth', 'database', 'payment', 'metrics', 'frontend', 'ai-service']),
+    query('endpoint').optional().isString(),
+    query('method').optional().isIn(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('includeBots').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                details: errors.array()
+            });
+        }
+
+        const level = req.query.level || 'country';
+        const locations = await PerformanceMetrics.getLatencyByGeo(level, {
+            country: req.query.country,
+            region: req.query.region,
+            service: req.query.service,
+            endpoint: req.query.endpoint,
+            method: req.query.method,
+            startDate: req.query.startDate,
+            endDate: req.query.endDate,
+            includeBots: req.query.includeBots === 'true'
+        }, parseInt(req.query.limit) || 50);
+
+        res.json({
+            level,
+            locations,
+            filters: req.query
+        });
+    } catch (error) {
+        logger.error('Error getting geographic latency breakdown:', error);
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to get geographic latency breakdown'
+        });
+    }
+});
+
 // Helper functions
 function generateRequestId() {
     return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -455,31 +518,4 @@ function getSystemMetrics() {
     };
 }
 
-function extractBrowser(userAgent) {
-    if (!userAgent) return 'Unknown';
-    if (userAgent.includes('Chrome')) return 'Chrome';
-    if (userAgent.includes('Firefox')) return 'Firefox';
-    if (userAgent.includes('Safari')) return 'Safari';
-    if (userAgent.includes('Edge')) return 'Edge';
-    if (userAgent.includes('Opera')) return 'Opera';
-    return 'Unknown';
-}
-
-function extractOS(userAgent) {
-    if (!userAgent) return 'Unknown';
-    if (userAgent.includes('Windows')) return 'Windows';
-    if (userAgent.includes('Mac OS')) return 'macOS';
-    if (userAgent.includes('Linux')) return 'Linux';
-    if (userAgent.includes('Android')) return 'Android';
-    if (userAgent.includes('iOS')) return 'iOS';
-    return 'Unknown';
-}
-
-function extractDeviceType(userAgent) {
-    if (!userAgent) return 'desktop';
-    if (/mobile/i.test(userAgent)) return 'mobile';
-    if (/tablet/i.test(userAgent)) return 'tablet';
-    return 'desktop';
-}
-
 module.exports = router; 
\ No newline at end of file
@@ -10,11 +10,21 @@ const promClient = require('prom-client');
 // Import custom modules
 const logger = require('./utils/logger');
 const connectDB = require('./config/database');
+const redactionConfig = require('./config/redaction');
 const { connectRedis } = require('./config/redis');
+const { seedRegistry } = require('./utils/aiRegistry');
+const { seedEventRegistry } = require('./utils/eventRegistry');
+const { loadGeoDatabase } = require('./utils/geoip');
+const { loadBotIpRanges } = require('./utils/botDetection');
+const { startAIRequestReaper } = require('./jobs/aiRequestReaper');
+const { startSessionizer } = require('./jobs/sessionizer');
+const { startActiveUsersJob } = require('./jobs/activeUsers');
 const metricsRoutes = require('./routes/metrics');
 const aiTrackingRoutes = require('./routes/aiTracking');
 const analyticsRoutes = require('./routes/analytics');
 const performanceRoutes = require('./routes/performance');
+const experimentRoutes = require('./routes/experiments');
+const beaconRoutes = require('./routes/beacon');
 const { errorHandler } = require('./middleware/errorHandler');
 const { authMiddleware } = require('./middleware/auth');
 
@@ -41,10 +51,20 @@ const limiter = rateLimit({
     max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
     message: {
         error: 'Too many requests from this IP, please try again later.'
-    }
+    },
+    skip: (req) => req.path.startsWith('/api/beacon')
 });
 app.use(limiter);
 
+// Beacons fire on every page, so they get their own, higher limit
+const beaconLimiter = rateLimit({
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+    max: parseInt(process.env.BEACON_RATE_LIMIT_MAX_REQUESTS) || 1000,
+    message: {
+        error: 'Too many requests from this IP, please try again later.'
+    }
+});
+
 // Compression middleware
 app.use(compression());
 
@@ -82,6 +102,8 @@ app.use('/api/metrics', authMiddleware, metricsRoutes);
 app.use('/api/ai-tracking', authMiddleware, aiTrackingRoutes);
 app.use('/api/analytics', authMiddleware, analyticsRoutes);
 app.use('/api/performance', authMiddleware, performanceRoutes);
+app.use('/api/experiments', authMiddleware, experimentRoutes);
+app.use('/api/beacon', beaconLimiter, beaconRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -121,9 +143,24 @@ const PORT = process.env.PORT || 5005;
 // Start server
 const startServer = async () => {
     try {
+        // Hash redaction and prompt fingerprints are keyed by the salt; unkeyed hashes of
+        // short values can be brute-forced
+        if (!redactionConfig.hashSalt) {
+            throw new Error('REDACTION_HASH_SALT must be set');
+        }
+
         // Connect to databases
         await connectDB();
         await connectRedis();
+        await seedRegistry();
+        await seedEventRegistry();
+        await loadGeoDatabase();
+        await loadBotIpRanges();
+
+        // Start background jobs
+        startAIRequestReaper();
+        startSessionizer();
+        startActiveUsersJob();
         
         app.listen(PORT, () => {
             logger.info(`Metrics service running on port ${PORT}`);
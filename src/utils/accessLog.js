@@ -0,0 +1,30 @@
+const AccessLog = require('../models/AccessLog');
+const logger = require('./logger');
+
+// Write an access log entry. Errors are thrown on purpose: callers must not
+// return sensitive data when the access could not be recorded.
+const recordAccess = async (req, { action, resourceIds, fields, query }) => {
+    await AccessLog.create({
+        actorId: req.user.id,
+        actorRole: req.user.role,
+        action,
+        resourceIds,
+        fields,
+        query,
+        metadata: {
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            path: req.originalUrl
+        }
+    });
+
+    logger.info('Sensitive data accessed', {
+        actorId: req.user.id,
+        action,
+        resources: resourceIds.length
+    });
+};
+
+module.exports = {
+    recordAccess
+};
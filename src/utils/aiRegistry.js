@@ -0,0 +1,97 @@
+const AIRegistry = require('../models/AIRegistry');
+const logger = require('./logger');
+
+// Entries seeded on startup so existing data and clients keep working
+const DEFAULT_ENTRIES = {
+    model: ['gpt-4', 'gpt-3.5-turbo', 'claude-3', 'gemini-pro', 'custom'],
+    feature: ['artwork-analysis', 'style-recommendation', 'market-analysis', 'portfolio-review', 'other']
+};
+
+// Registry changes are picked up by every instance once the cache expires, without a redeploy
+const CACHE_TTL_MS = parseInt(process.env.REGISTRY_CACHE_TTL_MS) || 60 * 1000;
+const registryCache = new Map();
+
+const getEntries = async (type) => {
+    const cached = registryCache.get(type);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.entries;
+    }
+
+    const entries = await AIRegistry.find({ type }).lean();
+    registryCache.set(type, { entries, expiresAt: Date.now() + CACHE_TTL_MS });
+    return entries;
+};
+
+// Resolve a name or alias (case-insensitive) to the canonical name of an active entry
+const resolveName = async (type, value) => {
+    if (typeof value !== 'string') return null;
+    const needle = value.trim().toLowerCase();
+
+    const entries = await getEntries(type);
+    const entry = entries.find(candidate => candidate.active && (
+        candidate.name.toLowerCase() === needle ||
+        candidate.aliases.some(alias => alias.toLowerCase() === needle)
+    ));
+    return entry ? entry.name : null;
+};
+
+const getActiveNames = async (type) => {
+    const entries = await getEntries(type);
+    return entries.filter(entry => entry.active).map(entry => entry.name);
+};
+
+// Inactive names stay valid on stored documents so historical records can still be saved
+const isRegisteredName = async (type, value) => {
+    const entries = await getEntries(type);
+    return entries.some(entry => entry.name === value);
+};
+
+// express-validator helpers: reject unknown names, then rewrite aliases to canonical names
+const isActiveRegistryName = (type) => async (value) => {
+    if (!await resolveName(type, value)) {
+        throw new Error(`Unknown ${type}`);
+    }
+    return true;
+};
+
+const toCanonicalName = (type) => async (value) => {
+    return (await resolveName(type, value)) || value;
+};
+
+const invalidateRegistryCache = (type) => {
+    if (type) {
+        registryCache.delete(type);
+    } else {
+        registryCache.clear();
+    }
+};
+
+// Insert default entries that are missing; existing (or deactivated) entries are left untouched
+const seedRegistry = async () => {
+    const operations = Object.entries(DEFAULT_ENTRIES).flatMap(([type, names]) =>
+        names.map(name => ({
+            updateOne: {
+                filter: { type, name },
+                update: { $setOnInsert: { type, name, aliases: [], active: true } },
+                upsert: true
+            }
+        }))
+    );
+
+    const result = await AIRegistry.bulkWrite(operations, { ordered: false });
+    invalidateRegistryCache();
+
+    if (result.upsertedCount > 0) {
+        logger.info('AI registry seeded', { inserted: result.upsertedCount });
+    }
+};
+
+module.exports = {
+    resolveName,
+    getActiveNames,
+    isRegisteredName,
+    isActiveRegistryName,
+    toCanonicalName,
+    invalidateRegistryCache,
+    seedRegistry
+};
@@ -0,0 +1,191 @@
+const fs = require('fs/promises');
+const net = require('net');
+const UserEngagement = require('../models/UserEngagement');
+const { getRedisClient } = require('../config/redis');
+const logger = require('./logger');
+
+// Bot classification at ingestion. Sales and performance records use the request
+// signals, engagement events also the behavioral ones. Signals:
+// - user_agent: the parsed User-Agent matches a crawler, monitor or HTTP library
+// - ip_range: the client IP is in the local list at BOT_IP_RANGES_PATH
+// - event_rate: the session sent more than BOT_MAX_EVENTS_PER_MINUTE events in a minute
+// - no_scroll: the session viewed BOT_NO_SCROLL_PAGE_VIEWS pages without ever scrolling
+// The behavioral signals need Redis and are skipped without it.
+const MAX_EVENTS_PER_MINUTE = parseInt(process.env.BOT_MAX_EVENTS_PER_MINUTE) || 60;
+const NO_SCROLL_PAGE_VIEWS = parseInt(process.env.BOT_NO_SCROLL_PAGE_VIEWS) || 10;
+const SESSION_TTL_SECONDS = (parseInt(process.env.SESSION_INACTIVITY_MINUTES) || 30) * 60;
+
+let botIpRanges = null;
+
+const normalizeIp = (ipAddress) => ipAddress.replace(/^::ffff:/, '');
+
+// Load the known bot IP list: one address or CIDR range per line, '#' starts a comment
+const loadBotIpRanges = async () => {
+    const listPath = process.env.BOT_IP_RANGES_PATH;
+    if (!listPath) {
+        logger.warn('BOT_IP_RANGES_PATH not set, IP-based bot detection disabled');
+        return;
+    }
+
+    try {
+        const blockList = new net.BlockList();
+        let ranges = 0;
+
+        for (const rawLine of (await fs.readFile(listPath, 'utf8')).split('\n')) {
+            const line = rawLine.replace(/#.*/, '').trim();
+            if (!line) continue;
+
+            const [address, prefix] = line.split('/');
+            const family = net.isIP(address);
+            if (!family || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+                logger.warn('Skipping invalid bot IP range', { line });
+                continue;
+            }
+
+            const type = family === 4 ? 'ipv4' : 'ipv6';
+            if (prefix === undefined) {
+                blockList.addAddress(address, type);
+            } else {
+                blockList.addSubnet(address, parseInt(prefix), type);
+            }
+            ranges++;
+        }
+
+        botIpRanges = blockList;
+        logger.info('Bot IP ranges loaded', { listPath, ranges });
+    } catch (error) {
+        // Don't exit process, IP-based detection is optional
+        logger.error('Error loading bot IP ranges:', error);
+    }
+};
+
+const isKnownBotIp = (ipAddress) => {
+    if (!botIpRanges || !ipAddress) return false;
+
+    const address = normalizeIp(ipAddress);
+    const family = net.isIP(address);
+    if (!family) return false;
+
+    return botIpRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Behavioral counters are kept per caller and session: sessionIds are client-supplied,
+// so one caller's traffic must never affect another caller's session
+const ownerOf = ({ userId, anonymousId }) => (userId ? { userId } : anonymousId ? { anonymousId } : null);
+
+// Per-session counters for the behavioral signals. The event rate is bucketed by the
+// event's own timestamp, so a client flushing a buffer of older events is not a burst.
+// Returns the reasons whose threshold this event crossed, so the caller can flag the
+// session's earlier events once.
+const checkSessionBehavior = async ({ owner, sessionId, event, timestamp, scrollDepth }) => {
+    const client = getRedisClient();
+    if (!client || !client.isReady || !owner || !sessionId) return { reasons: [], crossed: [] };
+
+    const reasons = [];
+    const crossed = [];
+    // The owner type is part of the key, so an anonymousId equal to someone's userId
+    // cannot share their counters
+    const sessionKey = owner.userId
+        ? `user:${owner.userId}:${sessionId}`
+        : `anon:${owner.anonymousId}:${sessionId}`;
+
+    try {
+        const minute = Math.floor(new Date(timestamp || Date.now()).getTime() / 60000);
+        const rateKey = `metrics-service:bot:rate:${sessionKey}:${minute}`;
+        const [eventsThisMinute] = await client.multi()
+            .incr(rateKey)
+            .expire(rateKey, 120)
+            .exec();
+
+        if (eventsThisMinute > MAX_EVENTS_PER_MINUTE) {
+            reasons.push('event_rate');
+            if (eventsThisMinute === MAX_EVENTS_PER_MINUTE + 1) crossed.push('event_rate');
+        }
+
+        if (event === 'page_view') {
+            const scrollKey = `metrics-service:bot:scroll:${sessionKey}`;
+            const [pageViews, scrolled] = await client.multi()
+                .hIncrBy(scrollKey, 'pageViews', 1)
+                .hIncrBy(scrollKey, 'scrolled', scrollDepth > 0 ? 1 : 0)
+                .expire(scrollKey, SESSION_TTL_SECONDS)
+                .exec();
+
+            if (pageViews >= NO_SCROLL_PAGE_VIEWS && scrolled === 0) {
+                reasons.push('no_scroll');
+                if (pageViews === NO_SCROLL_PAGE_VIEWS) crossed.push('no_scroll');
+            }
+        }
+    } catch (error) {
+        logger.error('Error checking session behavior for bot detection:', error);
+    }
+
+    return { reasons, crossed };
+};
+
+// Classification from the request alone, used for sales and performance records.
+// Returns { isBot, botReasons }.
+const classifyRequest = ({ isBotUserAgent, ipAddress }) => {
+    const botReasons = [];
+
+    if (isBotUserAgent) botReasons.push('user_agent');
+    if (isKnownBotIp(ipAddress)) botReasons.push('ip_range');
+
+    return { isBot: botReasons.length > 0, botReasons };
+};
+
+// Returns { isBot, botReasons, sessionReasons }. sessionReasons lists behavioral reasons
+// first detected on this event; pass them to flagBotSession once the event is stored.
+const classifyEngagement = async ({
+    isBotUserAgent,
+    ipAddress,
+    userId,
+    anonymousId,
+    sessionId,
+    event,
+    timestamp,
+    scrollDepth = 0
+}) => {
+    const { botReasons } = classifyRequest({ isBotUserAgent, ipAddress });
+
+    const behavior = await checkSessionBehavior({
+        owner: ownerOf({ userId, anonymousId }),
+        sessionId,
+        event,
+        timestamp,
+        scrollDepth
+    });
+    botReasons.push(...behavior.reasons);
+
+    return {
+        isBot: botReasons.length > 0,
+        botReasons,
+        sessionReasons: behavior.crossed
+    };
+};
+
+// Flag the caller's events in the session stored before a behavioral threshold was crossed
+const flagBotSession = async ({ userId, anonymousId, sessionId }, reasons) => {
+    const owner = ownerOf({ userId, anonymousId });
+    if (!reasons.length || !owner) return 0;
+
+    const result = await UserEngagement.updateMany(
+        { sessionId, ...owner },
+        { $set: { isBot: true }, $addToSet: { botReasons: { $each: reasons } } }
+    );
+
+    logger.info('Engagement session flagged as bot traffic', {
+        sessionId,
+        reasons,
+        events: result.modifiedCount
+    });
+
+    return result.modifiedCount;
+};
+
+module.exports = {
+    loadBotIpRanges,
+    isKnownBotIp,
+    classifyRequest,
+    classifyEngagement,
+    flagBotSession
+};
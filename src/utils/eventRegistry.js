@@ -0,0 +1,145 @@
+const Ajv = require('ajv');
+const EventDefinition = require('../models/EventDefinition');
+const logger = require('./logger');
+
+// Entries seeded on startup so existing data and clients keep working
+const DEFAULT_ENTRIES = {
+    event: [
+        'page_view', 'feature_usage', 'ai_request', 'subscription_upgrade',
+        'subscription_downgrade', 'payment_success', 'payment_failed',
+        'login', 'logout', 'registration', 'profile_update',
+        'artwork_upload', 'artwork_analysis', 'portfolio_view',
+        'market_analysis', 'style_recommendation', 'search', 'filter',
+        'export', 'share', 'feedback', 'support_request'
+    ],
+    feature: [
+        'artwork-analysis', 'style-recommendation', 'market-analysis',
+        'portfolio-review', 'ai-chat', 'export', 'share', 'premium-features'
+    ]
+};
+
+// Registry changes are picked up by every instance once the cache expires, without a redeploy
+const CACHE_TTL_MS = parseInt(process.env.REGISTRY_CACHE_TTL_MS) || 60 * 1000;
+const definitionCache = new Map();
+
+const compiledSchemas = new Map();
+
+// A fresh Ajv per schema: a shared instance keeps every compiled schema by $id, so
+// compiling an updated schema with the same $id would throw
+const compileSchema = (schema) => new Ajv({ allErrors: true, strict: false }).compile(schema);
+
+const getDefinitions = async (type) => {
+    const cached = definitionCache.get(type);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.definitions;
+    }
+
+    const definitions = await EventDefinition.find({ type }).lean();
+    definitionCache.set(type, { definitions, expiresAt: Date.now() + CACHE_TTL_MS });
+    return definitions;
+};
+
+const getActiveDefinition = async (type, name) => {
+    const definitions = await getDefinitions(type);
+    return definitions.find(definition => definition.active && definition.name === name) || null;
+};
+
+// Inactive names stay valid on stored documents so historical events can still be saved
+const isRegisteredEventName = async (type, value) => {
+    const definitions = await getDefinitions(type);
+    return definitions.some(definition => definition.name === value);
+};
+
+// express-validator helpers
+const isActiveEventName = (type) => async (value) => {
+    if (!await getActiveDefinition(type, value)) {
+        throw new Error(`Unknown ${type}`);
+    }
+    return true;
+};
+
+const isKnownEventName = (type) => async (value) => {
+    if (!await isRegisteredEventName(type, value)) {
+        throw new Error(`Unknown ${type}`);
+    }
+    return true;
+};
+
+// Returns an error message when `schema` is not a valid JSON schema. Compiling also
+// catches what validateSchema does not, such as unresolvable $refs.
+const checkPropertiesSchema = (schema) => {
+    try {
+        compileSchema(schema);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+// Check an event's properties against its registered schema. Returns
+// { valid, mode, errors } where errors are readable strings.
+const validateEventProperties = async (eventName, properties = {}) => {
+    const definition = await getActiveDefinition('event', eventName);
+    if (!definition || !definition.propertiesSchema) {
+        return { valid: true, mode: definition?.mode || 'lenient', errors: [] };
+    }
+
+    const cacheKey = `${definition._id}:${new Date(definition.updatedAt).getTime()}`;
+    let validate = compiledSchemas.get(cacheKey);
+    if (!validate) {
+        try {
+            validate = compileSchema(definition.propertiesSchema);
+        } catch (error) {
+            // Schemas are compiled on registration, so this only affects older entries
+            logger.error('Error compiling event properties schema:', { event: eventName, error: error.message });
+            validate = () => true;
+        }
+        compiledSchemas.set(cacheKey, validate);
+    }
+
+    const valid = validate(properties);
+    return {
+        valid,
+        mode: definition.mode,
+        errors: valid ? [] : validate.errors.map(error => `properties${error.instancePath} ${error.message}`)
+    };
+};
+
+const invalidateEventRegistryCache = (type) => {
+    if (type) {
+        definitionCache.delete(type);
+    } else {
+        definitionCache.clear();
+    }
+    compiledSchemas.clear();
+};
+
+// Insert default entries that are missing; existing (or deactivated) entries are left untouched
+const seedEventRegistry = async () => {
+    const operations = Object.entries(DEFAULT_ENTRIES).flatMap(([type, names]) =>
+        names.map(name => ({
+            updateOne: {
+                filter: { type, name },
+                update: { $setOnInsert: { type, name, mode: 'lenient', active: true } },
+                upsert: true
+            }
+        }))
+    );
+
+    const result = await EventDefinition.bulkWrite(operations, { ordered: false });
+    invalidateEventRegistryCache();
+
+    if (result.upsertedCount > 0) {
+        logger.info('Event registry seeded', { inserted: result.upsertedCount });
+    }
+};
+
+module.exports = {
+    isRegisteredEventName,
+    isActiveEventName,
+    isKnownEventName,
+    checkPropertiesSchema,
+    validateEventProperties,
+    invalidateEventRegistryCache,
+    seedEventRegistry
+};
@@ -0,0 +1,72 @@
+const maxmind = require('maxmind');
+const logger = require('./logger');
+
+// Offline geo-IP lookups against a local MaxMind-format (.mmdb) city database, e.g.
+// GeoLite2-City. Enrichment is skipped when GEOIP_DATABASE_PATH is not set.
+let reader = null;
+
+const loadGeoDatabase = async () => {
+    const databasePath = process.env.GEOIP_DATABASE_PATH;
+    if (!databasePath) {
+        logger.warn('GEOIP_DATABASE_PATH not set, geo-IP enrichment disabled');
+        return;
+    }
+
+    try {
+        reader = await maxmind.open(databasePath);
+        logger.info('Geo-IP database loaded', { databasePath });
+    } catch (error) {
+        // Don't exit process, geo enrichment is optional
+        logger.error('Error loading geo-IP database:', error);
+    }
+};
+
+// Returns { country, region, city } (ISO country code, English region and city names) or null
+const lookupGeo = (ipAddress) => {
+    if (!reader || !ipAddress || !maxmind.validate(ipAddress)) return null;
+
+    // Strip the IPv4-mapped IPv6 prefix Express reports for IPv4 clients on dual-stack sockets
+    const record = reader.get(ipAddress.replace(/^::ffff:/, ''));
+    if (!record) return null;
+
+    return {
+        country: record.country?.iso_code || record.registered_country?.iso_code || null,
+        region: record.subdivisions?.[0]?.names?.en || null,
+        city: record.city?.names?.en || null
+    };
+};
+
+// Metadata fields for a client IP: the geo lookup, and the raw IP unless GEOIP_DROP_IP is set
+const resolveIpMetadata = (ipAddress) => {
+    const geo = lookupGeo(ipAddress);
+    return {
+        ipAddress: process.env.GEOIP_DROP_IP === 'true' ? undefined : ipAddress,
+        ...(geo && { geo })
+    };
+};
+
+// Breakdown levels, each including the ones before it so regions and cities stay unambiguous
+const GEO_LEVELS = ['country', 'region', 'city'];
+
+// $group _id for a geographic breakdown at `level`; records without geo data group under null
+const geoGroupKey = (level = 'country') => {
+    const fields = GEO_LEVELS.slice(0, GEO_LEVELS.indexOf(level) + 1);
+    return Object.fromEntries(fields.map(field => [field, `$metadata.geo.${field}`]));
+};
+
+// Match conditions for drilling down into a country or region
+const geoMatch = (filters = {}) => {
+    const match = {};
+    if (filters.country) match['metadata.geo.country'] = filters.country;
+    if (filters.region) match['metadata.geo.region'] = filters.region;
+    return match;
+};
+
+module.exports = {
+    GEO_LEVELS,
+    loadGeoDatabase,
+    lookupGeo,
+    resolveIpMetadata,
+    geoGroupKey,
+    geoMatch
+};
@@ -0,0 +1,42 @@
+const UserEngagement = require('../models/UserEngagement');
+const IdentityLink = require('../models/IdentityLink');
+const logger = require('./logger');
+
+const STITCHING_EVENTS = ['login', 'registration'];
+
+const isStitchingEvent = (event) => STITCHING_EVENTS.includes(event);
+
+// Attach a visitor's anonymous events recorded up to `linkedAt` to the user.
+// Idempotent: only events without a user are updated, so replays are harmless and
+// anonymous events sent after a later logout stay anonymous until the next login.
+const stitchAnonymousHistory = async (anonymousId, userId, linkedBy, linkedAt = new Date()) => {
+    const result = await UserEngagement.updateMany(
+        { anonymousId, userId: null, timestamp: { $lte: linkedAt } },
+        { $set: { userId } }
+    );
+
+    await IdentityLink.updateOne(
+        { anonymousId, userId },
+        {
+            $setOnInsert: { linkedBy, firstLinkedAt: linkedAt },
+            $set: { lastLinkedAt: linkedAt },
+            $inc: { stitchedEvents: result.modifiedCount }
+        },
+        { upsert: true }
+    );
+
+    if (result.modifiedCount > 0) {
+        logger.info('Stitched anonymous history onto user', {
+            userId,
+            stitchedEvents: result.modifiedCount,
+            linkedBy
+        });
+    }
+
+    return result.modifiedCount;
+};
+
+module.exports = {
+    isStitchingEvent,
+    stitchAnonymousHistory
+};
@@ -0,0 +1,52 @@
+const jwt = require('jsonwebtoken');
+
+const AUDIENCE = 'metrics-service:ingestion';
+const TTL_SECONDS = parseInt(process.env.INGESTION_TOKEN_TTL_SECONDS) || 15 * 60;
+
+// Ingestion tokens are signed with their own secret so they can never be used as a
+// user access token; beacon ingestion is disabled when INGESTION_TOKEN_SECRET is unset.
+const isIngestionEnabled = () => Boolean(process.env.INGESTION_TOKEN_SECRET);
+
+const issueIngestionToken = (user) => {
+    const token = jwt.sign(
+        { plan: user.plan || 'free' },
+        process.env.INGESTION_TOKEN_SECRET,
+        { subject: String(user.id), audience: AUDIENCE, expiresIn: TTL_SECONDS }
+    );
+
+    return {
+        token,
+        expiresAt: new Date(Date.now() + TTL_SECONDS * 1000)
+    };
+};
+
+// Token for a visitor who has not logged in; events are recorded under anonymousId only
+const issueAnonymousIngestionToken = (anonymousId) => {
+    const token = jwt.sign(
+        { anonymousId },
+        process.env.INGESTION_TOKEN_SECRET,
+        { audience: AUDIENCE, expiresIn: TTL_SECONDS }
+    );
+
+    return {
+        token,
+        expiresAt: new Date(Date.now() + TTL_SECONDS * 1000)
+    };
+};
+
+// Returns { id, plan } for a user token or { id: null, plan: 'free', anonymousId } for an
+// anonymous one; throws jsonwebtoken errors otherwise
+const verifyIngestionToken = (token) => {
+    const decoded = jwt.verify(token, process.env.INGESTION_TOKEN_SECRET, { audience: AUDIENCE });
+    if (decoded.anonymousId) {
+        return { id: null, plan: 'free', anonymousId: decoded.anonymousId };
+    }
+    return { id: decoded.sub, plan: decoded.plan };
+};
+
+module.exports = {
+    isIngestionEnabled,
+    issueIngestionToken,
+    issueAnonymousIngestionToken,
+    verifyIngestionToken
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const logger = require('./logger');
+
+// Only delete the lock if this instance still holds it
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+// Run `fn` while holding a Redis lock so that only one instance runs it at a time.
+// Returns { acquired: false } when another instance holds the lock. When Redis is not
+// available the function still runs, so jobs using this must also be safe to run concurrently.
+const withLock = async (name, ttlMs, fn) => {
+    const client = getRedisClient();
+    const key = `metrics-service:lock:${name}`;
+    const token = crypto.randomUUID();
+
+    if (!client || !client.isReady) {
+        logger.warn(`Redis unavailable, running ${name} without a lock`);
+        return { acquired: true, result: await fn() };
+    }
+
+    const acquired = await client.set(key, token, { NX: true, PX: ttlMs });
+    if (!acquired) {
+        return { acquired: false };
+    }
+
+    try {
+        return { acquired: true, result: await fn() };
+    } finally {
+        try {
+            await client.eval(RELEASE_SCRIPT, { keys: [key], arguments: [token] });
+        } catch (error) {
+            logger.error(`Error releasing lock ${name}:`, error);
+        }
+    }
+};
+
+module.exports = {
+    withLock
+};
@@ -0,0 +1,57 @@
+const ModelPricing = require('../models/ModelPricing');
+
+// Prices change rarely, so each instance keeps them in memory for a short while.
+// Admin writes invalidate the local cache; other instances pick changes up on expiry.
+const CACHE_TTL_MS = parseInt(process.env.PRICING_CACHE_TTL_MS) || 60 * 1000;
+const priceCache = new Map();
+
+const getModelPrices = async (model) => {
+    const cached = priceCache.get(model);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.prices;
+    }
+
+    const prices = await ModelPricing.find({ model }).sort({ effectiveFrom: -1 });
+    priceCache.set(model, { prices, expiresAt: Date.now() + CACHE_TTL_MS });
+    return prices;
+};
+
+// Find the catalog price in effect for a model at a given date
+const findEffectivePrice = async (model, at = new Date()) => {
+    const prices = await getModelPrices(model);
+    return prices.find(price =>
+        price.effectiveFrom <= at && (!price.effectiveTo || price.effectiveTo > at)
+    ) || null;
+};
+
+// The date an AI request is priced at: when it started, falling back to when it was tracked
+const getPricingDate = (aiRequest) => {
+    return aiRequest.performance?.startTime || aiRequest.createdAt || new Date();
+};
+
+// Compute the cost of an AI request from its tokens using the catalog.
+// Returns null when the catalog has no price for the request's model and date.
+const computeRequestCost = async (aiRequest) => {
+    const price = await findEffectivePrice(aiRequest.model, getPricingDate(aiRequest));
+    if (!price) return null;
+
+    return {
+        cost: price.calculateCost(aiRequest.tokens),
+        pricingId: price._id
+    };
+};
+
+const invalidatePricingCache = (model) => {
+    if (model) {
+        priceCache.delete(model);
+    } else {
+        priceCache.clear();
+    }
+};
+
+module.exports = {
+    findEffectivePrice,
+    getPricingDate,
+    computeRequestCost,
+    invalidatePricingCache
+};
@@ -26,6 +26,28 @@ const aiRequestDuration = new promClient.Histogram({
     buckets: [0.1, 0.5, 1, 2, 5, 10, 30, 60]
 });
 
+// Lifecycle phase durations, to tell our own queueing apart from provider latency
+const aiRequestQueueTime = new promClient.Histogram({
+    name: 'ai_request_queue_seconds',
+    help: 'Time AI requests spend queued before processing starts, in seconds',
+    labelNames: ['model', 'feature'],
+    buckets: [0.01, 0.05, 0.1, 0.5, 1, 2, 5, 10, 30]
+});
+
+const aiRequestTimeToFirstToken = new promClient.Histogram({
+    name: 'ai_request_time_to_first_token_seconds',
+    help: 'Time from processing start to the first streamed token, in seconds',
+    labelNames: ['model', 'feature'],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30]
+});
+
+const aiRequestProcessingTime = new promClient.Histogram({
+    name: 'ai_request_processing_seconds',
+    help: 'Time from processing start to completion, in seconds',
+    labelNames: ['model', 'feature'],
+    buckets: [0.1, 0.5, 1, 2, 5, 10, 30, 60, 120]
+});
+
 const aiRequestTokens = new promClient.Counter({
     name: 'ai_request_tokens_total',
     help: 'Total tokens used in AI requests',
@@ -38,6 +60,24 @@ const aiRequestCost = new promClient.Counter({
     labelNames: ['model', 'user_plan']
 });
 
+const aiFeedbackCounter = new promClient.Counter({
+    name: 'ai_feedback_total',
+    help: 'Total number of feedback submissions on AI responses',
+    labelNames: ['model', 'feature', 'thumbs']
+});
+
+const aiQuotaUsersOverThreshold = new promClient.Gauge({
+    name: 'ai_quota_users_over_threshold',
+    help: 'Users past the warning threshold of their AI usage quota in the current period',
+    labelNames: ['user_plan', 'window', 'resource']
+});
+
+const aiQuotaDeniedCounter = new promClient.Counter({
+    name: 'ai_quota_denied_total',
+    help: 'Total number of AI requests denied by a usage quota',
+    labelNames: ['user_plan', 'window']
+});
+
 // Custom metrics for user engagement
 const userEngagementCounter = new promClient.Counter({
     name: 'user_engagement_events_total',
@@ -45,9 +85,27 @@ const userEngagementCounter = new promClient.Counter({
     labelNames: ['event', 'feature', 'user_plan', 'device_type']
 });
 
+const engagementSchemaViolationCounter = new promClient.Counter({
+    name: 'user_engagement_schema_violations_total',
+    help: 'Engagement events whose properties did not match the registered schema',
+    labelNames: ['event', 'mode']
+});
+
+const engagementBotEventCounter = new promClient.Counter({
+    name: 'user_engagement_bot_events_total',
+    help: 'Engagement events classified as bot traffic, by first matching reason',
+    labelNames: ['event', 'reason']
+});
+
 const activeUsersGauge = new promClient.Gauge({
     name: 'active_users_current',
-    help: 'Current number of active users',
+    help: 'Current number of distinct active users over a rolling window (1d, 7d, 30d)',
+    labelNames: ['user_plan', 'window']
+});
+
+const activeUsersStickiness = new promClient.Gauge({
+    name: 'active_users_stickiness_ratio',
+    help: 'Ratio of daily to monthly active users (DAU/MAU)',
     labelNames: ['user_plan']
 });
 
@@ -124,10 +182,19 @@ const cacheHitRate = new promClient.Gauge({
 // Register all metrics
 register.registerMetric(aiRequestCounter);
 register.registerMetric(aiRequestDuration);
+register.registerMetric(aiRequestQueueTime);
+register.registerMetric(aiRequestTimeToFirstToken);
+register.registerMetric(aiRequestProcessingTime);
 register.registerMetric(aiRequestTokens);
 register.registerMetric(aiRequestCost);
+register.registerMetric(aiFeedbackCounter);
+register.registerMetric(aiQuotaUsersOverThreshold);
+register.registerMetric(aiQuotaDeniedCounter);
 register.registerMetric(userEngagementCounter);
+register.registerMetric(engagementSchemaViolationCounter);
+register.registerMetric(engagementBotEventCounter);
 register.registerMetric(activeUsersGauge);
+register.registerMetric(activeUsersStickiness);
 register.registerMetric(sessionDuration);
 register.registerMetric(salesTransactionCounter);
 register.registerMetric(salesRevenue);
@@ -150,12 +217,37 @@ const updateAIMetrics = {
         aiRequestDuration.observe({ model, feature, user_plan: userPlan }, duration / 1000);
     },
     
+    recordPhaseDuration: (model, feature, phase, duration) => {
+        const histogram = {
+            queueTime: aiRequestQueueTime,
+            timeToFirstToken: aiRequestTimeToFirstToken,
+            processingTime: aiRequestProcessingTime
+        }[phase];
+        if (histogram) {
+            histogram.observe({ model, feature }, duration / 1000);
+        }
+    },
+    
     incrementTokens: (model, type, userPlan, count) => {
         aiRequestTokens.inc({ model, type, user_plan: userPlan }, count);
     },
     
     incrementCost: (model, userPlan, cost) => {
         aiRequestCost.inc({ model, user_plan: userPlan }, cost);
+    },
+    
+    incrementFeedback: (model, feature, thumbs) => {
+        aiFeedbackCounter.inc({ model, feature, thumbs });
+    }
+};
+
+const updateQuotaMetrics = {
+    setUsersOverThreshold: (userPlan, window, resource, count) => {
+        aiQuotaUsersOverThreshold.set({ user_plan: userPlan, window, resource }, count);
+    },
+
+    incrementDenied: (userPlan, window) => {
+        aiQuotaDeniedCounter.inc({ user_plan: userPlan, window });
     }
 };
 
@@ -169,8 +261,20 @@ const updateEngagementMetrics = {
         });
     },
     
-    setActiveUsers: (userPlan, count) => {
-        activeUsersGauge.set({ user_plan: userPlan }, count);
+    incrementSchemaViolation: (event, mode) => {
+        engagementSchemaViolationCounter.inc({ event, mode });
+    },
+    
+    incrementBotEvent: (event, reason) => {
+        engagementBotEventCounter.inc({ event, reason });
+    },
+    
+    setActiveUsers: (userPlan, window, count) => {
+        activeUsersGauge.set({ user_plan: userPlan, window }, count);
+    },
+    
+    setStickiness: (userPlan, ratio) => {
+        activeUsersStickiness.set({ user_plan: userPlan }, ratio);
     },
     
     recordSessionDuration: (userPlan, duration) => {
@@ -247,6 +351,7 @@ const getMetrics = async () => {
 module.exports = {
     register,
     updateAIMetrics,
+    updateQuotaMetrics,
     updateEngagementMetrics,
     updateSalesMetrics,
     updatePerformanceMetrics,
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { hashText } = require('./redaction');
+
+const SIMHASH_ENABLED = process.env.PROMPT_SIMHASH_ENABLED !== 'false';
+const SHINGLE_SIZE = 3;
+
+// SimHashes within this Hamming distance are near-duplicates. Splitting the 64 bits into
+// one more band than the distance guarantees that such a pair has an identical band.
+const SIMHASH_MAX_DISTANCE = 7;
+const SIMHASH_BANDS = SIMHASH_MAX_DISTANCE + 1;
+const BAND_HEX_LENGTH = 16 / SIMHASH_BANDS;
+
+// Normalize a prompt so trivially different copies (case, whitespace, punctuation) match
+const normalizePrompt = (prompt) => {
+    return prompt
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+// 64-bit SimHash over word shingles; near-duplicate prompts get hashes a few bits apart
+const simHash = (normalized) => {
+    const words = normalized.split(' ').filter(Boolean);
+    const shingles = words.length <= SHINGLE_SIZE
+        ? [words.join(' ')]
+        : words.slice(0, words.length - SHINGLE_SIZE + 1).map((_, i) => words.slice(i, i + SHINGLE_SIZE).join(' '));
+
+    const weights = new Array(64).fill(0);
+    for (const shingle of shingles) {
+        const hash = crypto.createHash('md5').update(shingle).digest().readBigUInt64BE(0);
+        for (let bit = 0; bit < 64; bit++) {
+            weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+        }
+    }
+
+    let result = 0n;
+    for (let bit = 0; bit < 64; bit++) {
+        if (weights[bit] > 0) result |= 1n << BigInt(bit);
+    }
+    return result.toString(16).padStart(16, '0');
+};
+
+const hammingDistance = (a, b) => {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (diff) {
+        distance += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return distance;
+};
+
+// Cluster SimHashes by Hamming distance. Only hashes sharing a band are compared; linked
+// hashes end up in the same cluster even when the chain spans more than the distance.
+// Returns a Map from each hash to its cluster's representative hash.
+const clusterSimHashes = (hashes) => {
+    const parent = new Map(hashes.map(hash => [hash, hash]));
+    const find = (hash) => {
+        while (parent.get(hash) !== hash) {
+            parent.set(hash, parent.get(parent.get(hash)));
+            hash = parent.get(hash);
+        }
+        return hash;
+    };
+
+    const buckets = new Map();
+    for (const hash of parent.keys()) {
+        for (let band = 0; band < SIMHASH_BANDS; band++) {
+            const bucketKey = `${band}:${hash.substr(band * BAND_HEX_LENGTH, BAND_HEX_LENGTH)}`;
+            const bucket = buckets.get(bucketKey) || [];
+            bucket.push(hash);
+            buckets.set(bucketKey, bucket);
+        }
+    }
+
+    for (const bucket of buckets.values()) {
+        for (let i = 0; i < bucket.length; i++) {
+            for (let j = i + 1; j < bucket.length; j++) {
+                const [a, b] = [find(bucket[i]), find(bucket[j])];
+                if (a !== b && hammingDistance(bucket[i], bucket[j]) <= SIMHASH_MAX_DISTANCE) {
+                    parent.set(b, a);
+                }
+            }
+        }
+    }
+
+    return new Map([...parent.keys()].map(hash => [hash, find(hash)]));
+};
+
+// Fingerprints are keyed hashes of the normalized prompt, so they reveal nothing about redacted content
+const fingerprintPrompt = (prompt) => {
+    const normalized = normalizePrompt(prompt || '');
+    return {
+        fingerprint: hashText(normalized),
+        simHash: SIMHASH_ENABLED ? simHash(normalized) : undefined
+    };
+};
+
+module.exports = {
+    normalizePrompt,
+    fingerprintPrompt,
+    hammingDistance,
+    clusterSimHashes
+};
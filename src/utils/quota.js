@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const AIRequest = require('../models/AIRequest');
+const QuotaPolicy = require('../models/QuotaPolicy');
+const QuotaUsage = require('../models/QuotaUsage');
+const { getRedisClient } = require('../config/redis');
+const { updateQuotaMetrics } = require('./prometheus');
+const logger = require('./logger');
+
+const WINDOWS = ['daily', 'monthly'];
+const PLANS = ['free', 'basic', 'premium'];
+const RESOURCES = ['tokens', 'cost'];
+
+// Window periods are aligned to UTC days and months
+const getPeriod = (window, date = new Date()) => {
+    if (window === 'daily') {
+        const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+    }
+    return {
+        start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+        end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+    };
+};
+
+// Load the usage counter of a period, backfilling it from AIRequest data when it does not exist yet
+const getUsage = async (userId, window, date = new Date()) => {
+    const { start, end } = getPeriod(window, date);
+    const key = { userId, window, periodStart: start };
+
+    const usage = await QuotaUsage.findOne(key).lean();
+    if (usage) return usage;
+
+    const [totals] = await AIRequest.aggregate([
+        {
+            $match: {
+                userId: new mongoose.Types.ObjectId(String(userId)),
+                status: 'completed',
+                createdAt: { $gte: start, $lt: end }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                tokens: { $sum: '$tokens.total' },
+                cost: { $sum: '$cost' },
+                requests: { $sum: 1 }
+            }
+        }
+    ]);
+
+    // $setOnInsert keeps a counter created concurrently by another request
+    return await QuotaUsage.findOneAndUpdate(
+        key,
+        {
+            $setOnInsert: {
+                tokens: totals?.tokens || 0,
+                cost: totals?.cost || 0,
+                requests: totals?.requests || 0
+            }
+        },
+        { upsert: true, new: true, lean: true }
+    );
+};
+
+// Add a completed request to the user's counters. Failures are logged, never thrown,
+// because the request itself has already been stored.
+const recordUsage = async (aiRequest) => {
+    try {
+        for (const window of WINDOWS) {
+            const { start } = getPeriod(window, aiRequest.createdAt);
+            const result = await QuotaUsage.updateOne(
+                { userId: aiRequest.userId, window, periodStart: start },
+                { $inc: { tokens: aiRequest.tokens.total || 0, cost: aiRequest.cost || 0, requests: 1 } }
+            );
+
+            // A missing counter is backfilled from AIRequest, which already includes this request
+            if (result.matchedCount === 0) {
+                await getUsage(aiRequest.userId, window, aiRequest.createdAt);
+            }
+        }
+
+        // Refresh the threshold gauges with the new totals
+        await checkQuota(aiRequest.userId, aiRequest.userPlan);
+    } catch (error) {
+        logger.error('Error recording AI quota usage:', error);
+    }
+};
+
+const thresholdKey = (plan, window, resource) => {
+    const { start } = getPeriod(window);
+    return `metrics-service:quota:over:${plan}:${window}:${resource}:${start.toISOString()}`;
+};
+
+// Users past a warning threshold are kept in a Redis set per plan, window, resource and
+// period. Only the set sizes are exported, so Prometheus gets no per-user series and every
+// instance reports the same counts. Skipped without Redis.
+const updateUsersOverThreshold = async (userId, overThreshold) => {
+    const client = getRedisClient();
+    if (!client || !client.isReady) return;
+
+    const series = PLANS.flatMap(plan => WINDOWS.flatMap(window => RESOURCES.map(resource => ({ plan, window, resource }))));
+
+    try {
+        const membership = client.multi();
+        for (const { plan, window, resource } of series) {
+            const key = thresholdKey(plan, window, resource);
+            if (overThreshold.has(`${plan}:${window}:${resource}`)) {
+                const expiresAt = Math.floor(getPeriod(window).end.getTime() / 1000) + 24 * 60 * 60;
+                membership.sAdd(key, String(userId)).expireAt(key, expiresAt);
+            } else {
+                // Usage back under the threshold, a plan change or a removed policy
+                membership.sRem(key, String(userId));
+            }
+        }
+        await membership.exec();
+
+        const counts = client.multi();
+        for (const { plan, window, resource } of series) {
+            counts.sCard(thresholdKey(plan, window, resource));
+        }
+        (await counts.exec()).forEach((count, index) => {
+            const { plan, window, resource } = series[index];
+            updateQuotaMetrics.setUsersOverThreshold(plan, window, resource, count);
+        });
+    } catch (error) {
+        logger.error('Error updating AI quota threshold gauges:', error);
+    }
+};
+
+const remainingOf = (limit, used) => (limit === null || limit === undefined ? null : Math.max(limit - used, 0));
+const ratioOf = (limit, used) => (limit ? used / limit : 0);
+
+// Check a user's usage against the policies that apply to them.
+// `estimate` ({ tokens, cost }) is the expected usage of the request about to run.
+const checkQuota = async (userId, userPlan, estimate = {}) => {
+    const policies = await QuotaPolicy.getEffectivePolicies(userId, userPlan);
+    const estimatedTokens = estimate.tokens || 0;
+    const estimatedCost = estimate.cost || 0;
+
+    const windows = [];
+    const overThreshold = new Set();
+    let allowed = true;
+
+    for (const policy of policies) {
+        const usage = await getUsage(userId, policy.window);
+        const { end } = getPeriod(policy.window);
+
+        const exceedsTokens = policy.maxTokens !== null && policy.maxTokens !== undefined &&
+            usage.tokens + estimatedTokens > policy.maxTokens;
+        const exceedsCost = policy.maxCost !== null && policy.maxCost !== undefined &&
+            usage.cost + estimatedCost > policy.maxCost;
+        if (exceedsTokens || exceedsCost) allowed = false;
+
+        const ratios = {
+            tokens: ratioOf(policy.maxTokens, usage.tokens),
+            cost: ratioOf(policy.maxCost, usage.cost)
+        };
+
+        for (const [resource, ratio] of Object.entries(ratios)) {
+            if (ratio * 100 >= policy.warnThreshold) {
+                overThreshold.add(`${userPlan}:${policy.window}:${resource}`);
+            }
+        }
+
+        windows.push({
+            window: policy.window,
+            scope: policy.scope,
+            limits: { tokens: policy.maxTokens, cost: policy.maxCost },
+            used: { tokens: usage.tokens, cost: usage.cost, requests: usage.requests },
+            remaining: {
+                tokens: remainingOf(policy.maxTokens, usage.tokens),
+                cost: remainingOf(policy.maxCost, usage.cost)
+            },
+            exceeded: { tokens: exceedsTokens, cost: exceedsCost },
+            resetsAt: end
+        });
+    }
+
+    await updateUsersOverThreshold(userId, overThreshold);
+
+    return { allowed, windows };
+};
+
+module.exports = {
+    getPeriod,
+    getUsage,
+    recordUsage,
+    checkQuota
+};
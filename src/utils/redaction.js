@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const redactionConfig = require('../config/redaction');
+
+// Digits must pass the Luhn checksum to count as a card number
+const passesLuhn = (value) => {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+// Detectors run in this order, so card numbers are masked before the phone detector sees them
+const DETECTORS = {
+    email: {
+        placeholder: '[EMAIL]',
+        patterns: [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi]
+    },
+    api_key: {
+        placeholder: '[API_KEY]',
+        patterns: [
+            /\b(?:sk|pk|rk)[-_](?:live_|test_|proj-|ant-)?[A-Za-z0-9_-]{16,}/g,
+            /\bAKIA[0-9A-Z]{16}\b/g,
+            /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+            /\bAIza[0-9A-Za-z_-]{35}\b/g,
+            /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g,
+            /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+            /\bBearer\s+[A-Za-z0-9._~+/-]{20,}=*/g
+        ]
+    },
+    card: {
+        placeholder: '[CARD]',
+        patterns: [/\b\d(?:[ -]?\d){12,18}\b/g],
+        verify: passesLuhn
+    },
+    phone: {
+        placeholder: '[PHONE]',
+        patterns: [/(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\b\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}\b/g]
+    }
+};
+
+// Keyed, so short redacted values (emails, phone and card numbers) cannot be recovered by
+// hashing candidates
+const hashText = (text) => {
+    if (!redactionConfig.hashSalt) {
+        throw new Error('REDACTION_HASH_SALT is not set');
+    }
+    return crypto.createHmac('sha256', redactionConfig.hashSalt).update(text).digest('hex');
+};
+
+const getPolicy = (field, feature) => {
+    const { policies } = redactionConfig;
+    return policies.features[feature]?.[field] || policies.default[field] || { mode: 'none', detectors: [] };
+};
+
+// Replace detected values with placeholders and report which detectors matched
+const maskText = (text, detectorNames) => {
+    let redacted = text;
+    const applied = [];
+    let matches = 0;
+
+    for (const [name, detector] of Object.entries(DETECTORS)) {
+        if (!detectorNames.includes(name)) continue;
+
+        let detectorMatches = 0;
+        for (const pattern of detector.patterns) {
+            redacted = redacted.replace(pattern, (match) => {
+                if (detector.verify && !detector.verify(match)) return match;
+                detectorMatches++;
+                return detector.placeholder;
+            });
+        }
+
+        if (detectorMatches > 0) {
+            applied.push(name);
+            matches += detectorMatches;
+        }
+    }
+
+    return { text: redacted, applied, matches };
+};
+
+// Redact a prompt or response according to the policy of its feature.
+// Returns the text to store and the marker recorded on the AIRequest.
+const redact = (field, text, feature) => {
+    const policy = getPolicy(field, feature);
+
+    if (!redactionConfig.enabled || !text || policy.mode === 'none') {
+        return { text, marker: { mode: 'none', applied: [], matches: 0 } };
+    }
+
+    if (policy.mode === 'hash') {
+        return {
+            text: '[REDACTED]',
+            marker: {
+                mode: 'hash',
+                applied: ['hash'],
+                matches: 0,
+                hash: hashText(text),
+                length: text.length
+            }
+        };
+    }
+
+    const masked = maskText(text, policy.detectors || redactionConfig.detectors);
+    return {
+        text: masked.text,
+        marker: {
+            mode: 'mask',
+            applied: masked.applied,
+            matches: masked.matches
+        }
+    };
+};
+
+module.exports = {
+    redact,
+    maskText,
+    hashText
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const logger = require('./logger');
+
+// Cache expensive report results in Redis, keyed by report name and parameters.
+// When Redis is not available the report is computed on every call.
+const getOrCompute = async (name, params, ttlSeconds, fn, { refresh = false } = {}) => {
+    const client = getRedisClient();
+    const hash = crypto.createHash('sha1').update(JSON.stringify(params)).digest('hex');
+    const key = `metrics-service:cache:${name}:${hash}`;
+
+    if (client && client.isReady && !refresh) {
+        try {
+            const cached = await client.get(key);
+            if (cached) {
+                return { ...JSON.parse(cached), cached: true };
+            }
+        } catch (error) {
+            logger.error(`Error reading cached ${name}:`, error);
+        }
+    }
+
+    const entry = { result: await fn(), computedAt: new Date().toISOString() };
+
+    if (client && client.isReady) {
+        try {
+            await client.set(key, JSON.stringify(entry), { EX: ttlSeconds });
+        } catch (error) {
+            logger.error(`Error caching ${name}:`, error);
+        }
+    }
+
+    return { ...entry, cached: false };
+};
+
+module.exports = {
+    getOrCompute
+};
@@ -0,0 +1,27 @@
+// Statistical helpers for experiment comparisons (95% confidence by default)
+const Z_95 = 1.96;
+
+// Normal-approximation confidence interval of a mean
+const meanConfidenceInterval = (mean, stdDev, n, z = Z_95) => {
+    if (!n || mean === null || mean === undefined) return null;
+    const margin = n > 1 && stdDev ? z * stdDev / Math.sqrt(n) : 0;
+    return { lower: mean - margin, upper: mean + margin };
+};
+
+// Wilson score interval of a proportion, in percent
+const proportionConfidenceInterval = (successes, n, z = Z_95) => {
+    if (!n) return null;
+    const p = successes / n;
+    const denominator = 1 + (z * z) / n;
+    const centre = (p + (z * z) / (2 * n)) / denominator;
+    const margin = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denominator;
+    return {
+        lower: Math.max(centre - margin, 0) * 100,
+        upper: Math.min(centre + margin, 1) * 100
+    };
+};
+
+module.exports = {
+    meanConfidenceInterval,
+    proportionConfidenceInterval
+};
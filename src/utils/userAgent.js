@@ -0,0 +1,88 @@
+// User-Agent enrichment shared by engagement, performance and sales ingestion.
+// Rules are checked in order, so browsers whose UA also mentions another engine
+// (Edge and Opera both include "Chrome", Chrome includes "Safari") come first.
+
+const BOT_PATTERN = /bot\b|crawl|spider|slurp|facebookexternalhit|headless|lighthouse|pingdom|curl\/|wget\/|python-requests|axios\/|node-fetch|go-http-client|java\/|okhttp/i;
+
+const BROWSER_RULES = [
+    { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+    { name: 'Opera', pattern: /(?:OPR|OPT)\/([\d.]+)/ },
+    { name: 'Opera', pattern: /Opera(?:\/.*Version)?[/ ]([\d.]+)/ },
+    { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+    { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+    { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+    { name: 'Safari', pattern: /Version\/([\d.]+).*Safari\// },
+    { name: 'Internet Explorer', pattern: /MSIE ([\d.]+)/ },
+    { name: 'Internet Explorer', pattern: /Trident\/.*rv:([\d.]+)/ }
+];
+
+const WINDOWS_VERSIONS = {
+    '10.0': '10',
+    '6.3': '8.1',
+    '6.2': '8',
+    '6.1': '7',
+    '6.0': 'Vista',
+    '5.1': 'XP'
+};
+
+// iOS and Android before macOS and Linux: iPad and Android UAs mention both
+const OS_RULES = [
+    { name: 'Windows', pattern: /Windows NT ([\d.]+)/, version: value => WINDOWS_VERSIONS[value] || value },
+    { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*? OS (\d+(?:_\d+)*)/, version: value => value.replace(/_/g, '.') },
+    { name: 'Android', pattern: /Android ([\d.]+)/ },
+    { name: 'ChromeOS', pattern: /CrOS \S+ ([\d.]+)/ },
+    { name: 'macOS', pattern: /Mac OS X (\d+(?:[_.]\d+)*)/, version: value => value.replace(/_/g, '.') },
+    { name: 'Linux', pattern: /Linux/ }
+];
+
+const matchRule = (rules, userAgent) => {
+    for (const rule of rules) {
+        const match = userAgent.match(rule.pattern);
+        if (match) {
+            const version = match[1] ? (rule.version ? rule.version(match[1]) : match[1]) : null;
+            return { name: rule.name, version };
+        }
+    }
+    return { name: 'Unknown', version: null };
+};
+
+const detectDeviceType = (userAgent) => {
+    if (/iPad|Tablet|PlayBook|Silk|Kindle/i.test(userAgent)) return 'tablet';
+    if (/Android/i.test(userAgent) && !/Mobile/i.test(userAgent)) return 'tablet';
+    if (/Mobi|iPhone|iPod|Windows Phone/i.test(userAgent)) return 'mobile';
+    return 'desktop';
+};
+
+// Returns { browser, browserVersion, os, osVersion, deviceType, isBot }
+const parseUserAgent = (userAgent = '') => {
+    if (!userAgent) {
+        return {
+            browser: 'Unknown',
+            browserVersion: null,
+            os: 'Unknown',
+            osVersion: null,
+            deviceType: 'desktop',
+            isBot: false
+        };
+    }
+
+    const isBot = BOT_PATTERN.test(userAgent);
+    let browser = matchRule(BROWSER_RULES, userAgent);
+    if (isBot && browser.name === 'Unknown') {
+        browser = { name: 'Bot', version: null };
+    }
+    const os = matchRule(OS_RULES, userAgent);
+
+    return {
+        browser: browser.name,
+        browserVersion: browser.version,
+        os: os.name,
+        osVersion: os.version,
+        deviceType: detectDeviceType(userAgent),
+        isBot
+    };
+};
+
+module.exports = {
+    parseUserAgent
+};
@@ -32,6 +32,7 @@ if [ ! -f .env ]; then
     echo "   - MONGODB_URI"
     echo "   - REDIS_URL"
     echo "   - JWT_SECRET"
+    echo "   - REDACTION_HASH_SALT"
     echo "   - Service URLs"
     exit 1
 fi